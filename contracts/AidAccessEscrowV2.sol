@@ -1,15 +1,16 @@
-solidity
-<!-- ========================================================= -->
-<!-- contracts/AidAccessEscrowV2.sol                              -->
-<!-- Aid Access Escrow V2 — Guardian-governed humanitarian escrow -->
-<!-- - Stores a sourceHash (sha256) for canonical artifact verification -->
-<!-- - Attestations from allowlisted attestors contribute to period totals -->
-<!-- - Disbursements occur only when period thresholds are met -->
-<!-- - Guardian multisig + timelocked disable/freeze flow (no selfdestruct) -->
-<!-- - Events emitted for complete public audit trail -->
-<!-- ========================================================= -->
-
 // SPDX-License-Identifier: AGPL-3.0
+// =========================================================
+// contracts/AidAccessEscrowV2.sol
+// Aid Access Escrow V2 — Guardian-governed humanitarian escrow
+// - Stores a sourceHash (sha256) for canonical artifact verification
+// - Attestations from allowlisted attestors contribute to period totals
+// - A quorum of distinct attestors per period and kind gates disbursement
+// - Optional window mode: the open period is derived from block.timestamp / periodWindow
+// - Guardian fund recovery is requested, then executed after the same timelock
+// - Disbursements occur only when period thresholds are met
+// - Guardian multisig + timelocked disable/freeze flow (no selfdestruct)
+// - Events emitted for complete public audit trail
+// =========================================================
 pragma solidity ^0.8.24;
 
 /*
@@ -50,16 +51,29 @@ contract AidAccessEscrowV2 {
     address public guardianMultisig;   // Gnosis Safe / multisig address
     bytes32 public sourceHash;         // sha256 of canonical zip/package (bytes32)
     bool public disabled;              // global safety flag (blocks attest + disburse)
-    uint256 public disableRequestedAt; // timestamp when disable was requested
+    uint256 public disableRequestedAt; // timestamp when the pending action was requested (0 = none)
     uint256 public disableTimelock;    // seconds to wait between request and finalize (e.g., 72h)
 
+    // Which timelocked action disableRequestedAt belongs to; finalize/cancel must match it
+    enum PendingAction { None, Disable, Enable }
+    PendingAction public pendingAction;
+
+    // Guardian recovery waiting for its timelock (requestedAt == 0: none)
+    struct Recovery {
+        address to;
+        uint256 amount;
+        uint256 requestedAt;
+    }
+    Recovery public pendingRecovery;
+
     // -------------------------
     // Configuration (tunable)
     // -------------------------
     uint256 public hoursTarget;  // corridor-hours target per period
     uint256 public kgTarget;     // kg delivered target per period
     uint256 public tranche;      // payout amount per successful period
-    uint256 public periodWindow; // optional: seconds length of a period (0 = arbitrary keyed periods)
+    uint256 public periodWindow; // seconds per period in window mode (0 = arbitrary keyed periods)
+    uint256 public attestQuorum; // distinct attestors required per period and kind before totals count
 
     // -------------------------
     // Data models
@@ -74,6 +88,20 @@ contract AidAccessEscrowV2 {
     // mapping periodKey => Period
     mapping(bytes32 => Period) public periods;
 
+    // One attestor's running contribution to a period for one kind
+    struct Contribution {
+        uint256 value;    // sum of this attestor's values
+        bytes32 metaHash; // metaHash of their latest attestation
+        uint256 count;    // number of attestations
+        uint256 lastAt;   // timestamp of their latest attestation
+    }
+
+    // periodKey => kind => attestor => Contribution
+    mapping(bytes32 => mapping(uint8 => mapping(address => Contribution))) public contributions;
+
+    // periodKey => kind => distinct attestors, in order of first attestation
+    mapping(bytes32 => mapping(uint8 => address[])) internal periodAttestors;
+
     // allowlist for operators (aid distribution orgs)
     mapping(address => bool) public operatorAllowlist;
 
@@ -89,10 +117,17 @@ contract AidAccessEscrowV2 {
     event Disburse(bytes32 indexed periodId, address indexed to, uint256 amount);
     event SourceHashSet(bytes32 indexed newHash, address indexed setter);
     event DisableRequested(address indexed by, uint256 when);
+    event DisableCancelled(address indexed by, uint256 when);
     event Disabled(address indexed by, uint256 when);
     event EnableRequested(address indexed by, uint256 when);
+    event EnableCancelled(address indexed by, uint256 when);
     event Enabled(address indexed by, uint256 when);
     event GuardianMultisigUpdated(address indexed oldAddr, address indexed newAddr);
+    event AttestQuorumSet(uint256 oldQuorum, uint256 newQuorum);
+    event PeriodWindowSet(uint256 oldWindow, uint256 newWindow);
+    event RecoveryRequested(address indexed to, uint256 amount, uint256 executableAt, address indexed by);
+    event RecoveryExecuted(address indexed to, uint256 amount, address indexed by);
+    event RecoveryCancelled(address indexed to, uint256 amount, address indexed by);
 
     // -------------------------
     // Modifiers
@@ -137,7 +172,8 @@ contract AidAccessEscrowV2 {
         kgTarget = _kgTarget;
         tranche = _tranche;
         disableTimelock = _timelockSeconds;
-        periodWindow = 0; // by default, periods are keyed externally (you can set window later)
+        periodWindow = 0; // by default, periods are keyed externally (guardians can switch with setPeriodWindow)
+        attestQuorum = 1; // single attestor, as before; guardians raise it with setAttestQuorum
     }
 
     // -------------------------
@@ -173,18 +209,59 @@ contract AidAccessEscrowV2 {
         emit SourceHashSet(newHash, msg.sender);
     }
 
+    // -------------------------
+    // Attestor quorum (guarded)
+    // -------------------------
+    /// @notice Set how many distinct attestors must attest each kind before a period can be paid
+    /// @dev Applies to every unpaid period at disbursement time, including ones already attested
+    /// @param quorum distinct attestors required per period and kind (>= 1)
+    function setAttestQuorum(uint256 quorum) external onlyGuardian {
+        require(quorum > 0, "AAS: zero quorum");
+        emit AttestQuorumSet(attestQuorum, quorum);
+        attestQuorum = quorum;
+    }
+
+    // -------------------------
+    // Period windows (guarded)
+    // -------------------------
+    /// @notice Switch between keyed periods (0) and fixed time windows of `window` seconds
+    /// @dev In window mode only the open window accepts attestations. Periods attested
+    ///      under an earlier setting keep their totals and can still be disbursed.
+    function setPeriodWindow(uint256 window) external onlyGuardian {
+        emit PeriodWindowSet(periodWindow, window);
+        periodWindow = window;
+    }
+
+    /// @notice Period key of the window containing `timestamp`:
+    ///         keccak256(abi.encodePacked(periodWindow, timestamp / periodWindow))
+    /// @dev The window length is part of the key so changing it never reuses an old period.
+    ///      scripts/lib/period.js computes the same key off-chain.
+    function periodIdAt(uint256 timestamp) public view returns (bytes32) {
+        require(periodWindow > 0, "AAS: no period window");
+        return keccak256(abi.encodePacked(periodWindow, timestamp / periodWindow));
+    }
+
+    /// @notice Period key of the window that is open now
+    function currentPeriodId() external view returns (bytes32) {
+        return periodIdAt(block.timestamp);
+    }
+
     // -------------------------
     // Attestations (by authorized attestors off-chain)
     // -------------------------
     // kind: 1 = corridor hours, 2 = kg delivered
     /// @notice Submit an attestation for a period. Attesters must be registered in attestor registry.
-    /// @param periodId bytes32 identifier of the period (e.g., keccak256(abi.encodePacked(dateString)) )
+    /// @param periodId bytes32 identifier of the period (e.g., keccak256(abi.encodePacked(dateString)) );
+    ///        in window mode it must be currentPeriodId()
     /// @param kind uint8 1=corridorHours, 2=kgDelivered
     /// @param value uint256 value to add
     /// @param metaHash optional metadata hash (ipfs cid hash or sha256)
     function attest(bytes32 periodId, uint8 kind, uint256 value, bytes32 metaHash) external notDisabled {
         require(attestors.isAttestor(msg.sender), "AAS: not attestor");
         require(value > 0, "AAS: zero value");
+        if (periodWindow > 0) {
+            require(periodId == periodIdAt(block.timestamp), "AAS: window closed");
+        }
         Period storage p = periods[periodId];
         if (p.createdAt == 0) {
             p.createdAt = block.timestamp;
@@ -198,6 +275,15 @@ contract AidAccessEscrowV2 {
             revert("AAS: bad kind");
         }
 
+        Contribution storage c = contributions[periodId][kind][msg.sender];
+        if (c.count == 0) {
+            periodAttestors[periodId][kind].push(msg.sender);
+        }
+        c.value += value;
+        c.metaHash = metaHash;
+        c.count += 1;
+        c.lastAt = block.timestamp;
+
         emit Attest(periodId, kind, value, metaHash, msg.sender);
     }
 
@@ -212,6 +298,7 @@ contract AidAccessEscrowV2 {
         Period storage p = periods[periodId];
         require(!p.paid, "AAS: already paid");
         require(p.corridorHours >= hoursTarget && p.kgDelivered >= kgTarget, "AAS: targets not met");
+        require(quorumMet(periodId), "AAS: quorum not met");
         p.paid = true;
 
         bool ok = stable.transfer(to, tranche);
@@ -225,35 +312,60 @@ contract AidAccessEscrowV2 {
     // -------------------------
     /// @notice Guardian starts a disable request (starts the timelock)
     function requestDisable() external onlyGuardian {
+        require(!disabled, "AAS: already disabled");
+        require(pendingAction == PendingAction.None, "AAS: action pending");
+        pendingAction = PendingAction.Disable;
         disableRequestedAt = block.timestamp;
         emit DisableRequested(msg.sender, disableRequestedAt);
     }
 
+    /// @notice Guardian withdraws a pending disable request
+    function cancelDisable() external onlyGuardian {
+        require(pendingAction == PendingAction.Disable, "AAS: disable not requested");
+        _clearPending();
+        emit DisableCancelled(msg.sender, block.timestamp);
+    }
+
     /// @notice After timelock, guardian finalizes the disable (freezes attest & disburse)
     function finalizeDisable() external onlyGuardian {
-        require(disableRequestedAt > 0, "AAS: disable not requested");
+        require(pendingAction == PendingAction.Disable, "AAS: disable not requested");
         require(block.timestamp >= disableRequestedAt + disableTimelock, "AAS: timelock not elapsed");
         disabled = true;
-        // reset request timestamp to avoid accidental re-use
-        disableRequestedAt = 0;
+        // reset request state to avoid accidental re-use
+        _clearPending();
         emit Disabled(msg.sender, block.timestamp);
     }
 
     /// @notice Guardian requests enable (starts timelock to re-enable)
     function requestEnable() external onlyGuardian {
+        require(disabled, "AAS: not disabled");
+        require(pendingAction == PendingAction.None, "AAS: action pending");
+        pendingAction = PendingAction.Enable;
         disableRequestedAt = block.timestamp;
         emit EnableRequested(msg.sender, disableRequestedAt);
     }
 
+    /// @notice Guardian withdraws a pending enable request
+    function cancelEnable() external onlyGuardian {
+        require(pendingAction == PendingAction.Enable, "AAS: enable not requested");
+        _clearPending();
+        emit EnableCancelled(msg.sender, block.timestamp);
+    }
+
     /// @notice After timelock, guardian finalizes enable
     function finalizeEnable() external onlyGuardian {
-        require(disableRequestedAt > 0, "AAS: enable not requested");
+        require(pendingAction == PendingAction.Enable, "AAS: enable not requested");
         require(block.timestamp >= disableRequestedAt + disableTimelock, "AAS: timelock not elapsed");
         disabled = false;
-        disableRequestedAt = 0;
+        _clearPending();
         emit Enabled(msg.sender, block.timestamp);
     }
 
+    function _clearPending() internal {
+        pendingAction = PendingAction.None;
+        disableRequestedAt = 0;
+    }
+
     /// @notice Update guardian multisig address (very sensitive; guarded)
     function updateGuardianMultisig(address newGuardian) external onlyGuardian {
         require(newGuardian != address(0), "AAS: zero addr");
@@ -269,7 +381,27 @@ contract AidAccessEscrowV2 {
     function periodMeetsTargets(bytes32 periodId) external view returns (bool) {
         Period storage p = periods[periodId];
         if (p.paid) return false;
-        return (p.corridorHours >= hoursTarget && p.kgDelivered >= kgTarget && !disabled);
+        return (p.corridorHours >= hoursTarget && p.kgDelivered >= kgTarget && quorumMet(periodId) && !disabled);
+    }
+
+    /// @notice True when both kinds have been attested by at least attestQuorum distinct attestors
+    function quorumMet(bytes32 periodId) public view returns (bool) {
+        return periodAttestors[periodId][1].length >= attestQuorum && periodAttestors[periodId][2].length >= attestQuorum;
+    }
+
+    /// @notice Distinct attestors for a period and kind, in order of first attestation
+    function getAttestors(bytes32 periodId, uint8 kind) external view returns (address[] memory) {
+        return periodAttestors[periodId][kind];
+    }
+
+    /// @notice One attestor's contribution to a period for one kind
+    function getContribution(bytes32 periodId, uint8 kind, address attestor)
+        external
+        view
+        returns (uint256 value, bytes32 metaHash, uint256 count, uint256 lastAt)
+    {
+        Contribution storage c = contributions[periodId][kind][attestor];
+        return (c.value, c.metaHash, c.count, c.lastAt);
     }
 
     /// @notice Read period summary
@@ -281,12 +413,36 @@ contract AidAccessEscrowV2 {
     // -------------------------
     // Rescue / Recovery (guardian only)
     // -------------------------
-    /// @notice Emergency: guardian can pull funds to specified recovery address (use rarely)
-    /// @dev This function is intentionally powerful and should only be used under well-documented governance.
-    function guardianRecover(address to, uint256 amount) external onlyGuardian {
+    /// @notice Emergency: guardian starts pulling funds to a recovery address (use rarely)
+    /// @dev Executable after disableTimelock, like disable/enable, so donors and
+    ///      watchers see it coming. One recovery can be pending at a time.
+    function requestRecovery(address to, uint256 amount) external onlyGuardian {
         require(to != address(0), "AAS: zero addr");
-        bool ok = stable.transfer(to, amount);
+        require(amount > 0, "AAS: zero amount");
+        require(pendingRecovery.requestedAt == 0, "AAS: recovery pending");
+        pendingRecovery = Recovery({to: to, amount: amount, requestedAt: block.timestamp});
+        emit RecoveryRequested(to, amount, block.timestamp + disableTimelock, msg.sender);
+    }
+
+    /// @notice Guardian sends the pending recovery once the timelock elapsed
+    function executeRecovery() external onlyGuardian {
+        Recovery memory r = pendingRecovery;
+        require(r.requestedAt != 0, "AAS: recovery not requested");
+        require(block.timestamp >= r.requestedAt + disableTimelock, "AAS: timelock not elapsed");
+        delete pendingRecovery;
+
+        bool ok = stable.transfer(r.to, r.amount);
         require(ok, "AAS: transfer failed");
+
+        emit RecoveryExecuted(r.to, r.amount, msg.sender);
+    }
+
+    /// @notice Guardian withdraws the pending recovery
+    function cancelRecovery() external onlyGuardian {
+        Recovery memory r = pendingRecovery;
+        require(r.requestedAt != 0, "AAS: recovery not requested");
+        delete pendingRecovery;
+        emit RecoveryCancelled(r.to, r.amount, msg.sender);
     }
 
     // -------------------------
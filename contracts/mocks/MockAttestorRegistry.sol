@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: AGPL-3.0
+// =========================================================
+// contracts/mocks/MockAttestorRegistry.sol
+// Aid Access Escrow V2 — Owner-managed attestor registry
+// - Implements IAttestorRegistry.isAttestor(address)
+// - Owner adds / removes attestors; events for every change
+// - Stand-in for an EAS adapter on local and test networks
+// =========================================================
+pragma solidity ^0.8.24;
+
+/// @title MockAttestorRegistry
+/// @notice Simple allowlist registry used by the local stack (deployment/local-stack.js) and tests
+contract MockAttestorRegistry {
+    address public owner;
+    mapping(address => bool) public isAttestor;
+
+    event AttestorSet(address indexed attestor, bool ok);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Registry: not owner");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    /// @notice Add or remove an attestor
+    function setAttestor(address attestor, bool ok) external onlyOwner {
+        isAttestor[attestor] = ok;
+        emit AttestorSet(attestor, ok);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Registry: zero addr");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+}
@@ -4,10 +4,17 @@
    ----------------------------------------------------------
    Features:
      • Connect to RPC + contract (read-only)
-     • Load and display contract state
+     • Named deployments (localStorage) and ?network=&contract= links
+     • Load and display contract state, pending disable/enable countdown
      • Compute SHA-256 of a local file (Web Crypto)
      • Compare against on-chain sourceHash
-     • Read a specific periodId record
+     • Check signatures on a release manifest (schema v2)
+     • Read a period by date label or bytes32 periodId
+     • Period explorer: progress toward targets, paid/eligible status
+     • Audit timeline from contract event logs (chunked, resumable)
+     • Optional wallet write mode (deposit / attest / disburse) with simulation
+     • Guardian Safe batch builder (shared with scripts/safe-batch.js)
+     • Solvency & funding runway (shared with scripts/solvency-report.js)
    ========================================================= */
 
 (async () => {
@@ -16,11 +23,12 @@
   const out = (el, txt) => { if (el) el.textContent = txt ?? "—"; };
 
   // State
-  let provider, contract, abi;
+  let provider, contract, abi, erc20Abi;
 
-  // Parse ABI from inline JSON in index.html
+  // Parse ABIs from inline JSON in index.html
   try {
     abi = JSON.parse(document.getElementById("abi-json").textContent);
+    erc20Abi = JSON.parse(document.getElementById("erc20-abi-json").textContent);
   } catch (e) {
     console.error("ABI parse error:", e);
   }
@@ -29,7 +37,7 @@
   const bytes32ToHex = (b) => (b ? b.toLowerCase() : "0x" + "0".repeat(64));
 
   // ====== Connection ======
-  $("btnConnect").onclick = async () => {
+  async function connect() {
     try {
       const rpc = $("rpcUrl").value.trim();
       const addr = $("contractAddr").value.trim();
@@ -42,20 +50,251 @@
       $("connStatus").classList.remove("muted");
       $("connStatus").classList.add("good");
 
+      clearInterval(countdownTimer);
+      resetTimeline();
+      resetWallet();
       await loadState();
+      try {
+        history.replaceState(null, "", shareLink()); // reload or bookmark reopens this deployment
+      } catch {}
+      return true;
     } catch (e) {
       $("connStatus").textContent = "Error: " + e.message;
       $("connStatus").classList.remove("good");
+      return false;
     }
+  }
+  $("btnConnect").onclick = connect;
+
+  // ====== Deployment Registry ======
+  // Named deployments kept in localStorage: { name, network, chainId, address, rpcUrl, labels }.
+  // Entries come from deployment files (deployment/deploy.js), from Save, or from a
+  // shared link (?network=<name>&contract=0x…[&rpc=<url>]).
+  const REGISTRY_KEY = "aas.deployments.v1";
+
+  // Public endpoints for links that name a network but carry no RPC URL
+  const PUBLIC_RPCS = {
+    mainnet: "https://ethereum-rpc.publicnode.com",
+    sepolia: "https://ethereum-sepolia-rpc.publicnode.com",
+    arbitrum: "https://arb1.arbitrum.io/rpc",
+    arbitrumSepolia: "https://sepolia-rollup.arbitrum.io/rpc",
+    base: "https://mainnet.base.org",
+    baseSepolia: "https://sepolia.base.org",
+    optimism: "https://mainnet.optimism.io",
+    polygon: "https://polygon-rpc.com",
+    localhost: "http://127.0.0.1:8545",
   };
+  const NETWORK_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+  const isLocalRpc = (url) => /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/i.test(url);
 
-  $("btnCopyConfig").onclick = () => {
-    const cfg = {
-      rpc: $("rpcUrl").value,
-      contract: $("contractAddr").value,
+  // Deployment in use: registry entry or link, so Save and Copy Link know its network
+  let activeDeployment = null;
+
+  function readRegistry() {
+    try {
+      const list = JSON.parse(localStorage.getItem(REGISTRY_KEY) || "[]");
+      return Array.isArray(list) ? list.filter((d) => d && d.name && ethers.isAddress(d.address)) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function writeRegistry(list) {
+    try {
+      localStorage.setItem(REGISTRY_KEY, JSON.stringify(list));
+      return true;
+    } catch {
+      return false; // storage disabled (private mode, some file:// setups)
+    }
+  }
+
+  function renderRegistry(selected = "") {
+    const list = readRegistry();
+    const first = document.createElement("option");
+    first.value = "";
+    first.textContent = list.length ? "— pick a saved deployment —" : "— none saved —";
+    $("deploySelect").replaceChildren(
+      first,
+      ...list.map((d) => {
+        const opt = document.createElement("option");
+        opt.value = d.name;
+        opt.textContent = `${d.name} · ${d.network || "?"} · ${shortHex(d.address)}`;
+        return opt;
+      })
+    );
+    $("deploySelect").value = list.some((d) => d.name === selected) ? selected : "";
+  }
+
+  // Insert or replace by name; returns false when storage is unavailable
+  function saveDeployment(entry) {
+    const list = readRegistry().filter((d) => d.name !== entry.name);
+    list.push({ ...entry, savedAt: new Date().toISOString() });
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    return writeRegistry(list);
+  }
+
+  // deploy.js artifact → registry entry. Local-stack files also carry an RPC URL and
+  // the seeded period labels; remote ones fall back to the network's public RPC.
+  function entryFromFile(dep) {
+    if (!dep.address || !ethers.isAddress(dep.address)) throw new Error("no contract address in file");
+    const network = dep.network && NETWORK_NAME.test(dep.network) ? dep.network : "";
+    const taken = readRegistry().find((d) => d.name === (network || "deployment"));
+    const sameAddress = taken && taken.address.toLowerCase() === dep.address.toLowerCase();
+    const labels = {};
+    ((dep.localStack && dep.localStack.periods) || []).forEach((p) => { labels[p.id.toLowerCase()] = p.label; });
+    return {
+      name: !taken || sameAddress ? network || "deployment" : `${network || "deployment"} ${shortHex(dep.address)}`,
+      network,
+      chainId: dep.chainId ? String(dep.chainId) : "",
+      address: ethers.getAddress(dep.address),
+      rpcUrl: dep.rpcUrl || (taken && sameAddress && taken.rpcUrl) || PUBLIC_RPCS[network] || "",
+      labels,
     };
-    navigator.clipboard.writeText(JSON.stringify(cfg, null, 2));
-    $("connStatus").textContent = "Config copied ✅";
+  }
+
+  // Fill the connection fields from an entry and connect when an RPC URL is known
+  async function useDeployment(entry, source) {
+    activeDeployment = entry;
+    $("contractAddr").value = entry.address;
+    if (entry.rpcUrl) $("rpcUrl").value = entry.rpcUrl;
+    $("deployName").value = entry.name || "";
+    Object.entries(entry.labels || {}).forEach(([id, label]) => knownLabels.set(id, label));
+    renderRegistry(entry.name);
+    if (entry.rpcUrl) {
+      if (await connect()) $("connStatus").textContent += ` · ${source}`;
+    } else {
+      $("connStatus").textContent = `${source} on ${entry.network || "?"} — enter an RPC URL`;
+    }
+  }
+
+  // Shareable link: network + contract, plus the RPC URL only for local nodes
+  // (remote URLs often embed API keys)
+  function shareLink() {
+    const addr = $("contractAddr").value.trim();
+    const rpc = $("rpcUrl").value.trim();
+    const network = activeDeployment && activeDeployment.address.toLowerCase() === addr.toLowerCase() ? activeDeployment.network : "";
+    const params = new URLSearchParams();
+    if (network) params.set("network", network);
+    params.set("contract", addr);
+    if (rpc && isLocalRpc(rpc) && rpc !== PUBLIC_RPCS[network]) params.set("rpc", rpc);
+    return `${location.href.split(/[?#]/)[0]}?${params}`;
+  }
+
+  // ?network=&contract=[&rpc=] → saved entry for that contract, else the link's own
+  // values; ?network= alone → saved entry for the network, else the deployment file
+  // served next to the dashboard (http only). A saved entry always keeps its own RPC;
+  // a link's rpc= must be a local node and is only used for unsaved contracts once
+  // the user agrees, since whoever controls the RPC controls every value shown.
+  async function openFromUrl() {
+    const q = new URLSearchParams(location.search);
+    const network = (q.get("network") || "").trim();
+    const addr = (q.get("contract") || "").trim();
+    let rpc = (q.get("rpc") || "").trim();
+    if (!network && !addr) return;
+    try {
+      if (network && !NETWORK_NAME.test(network)) throw new Error(`invalid network name "${network}"`);
+      if (addr && !ethers.isAddress(addr)) throw new Error(`invalid contract address "${addr}"`);
+      let source = "Opened from link";
+      if (rpc && !isLocalRpc(rpc)) {
+        rpc = "";
+        source += " (ignored its non-local rpc)";
+      }
+
+      const saved = readRegistry().filter((d) => !network || d.network === network);
+      let entry = addr ? saved.find((d) => d.address.toLowerCase() === addr.toLowerCase()) : saved[0];
+      if (entry) return await useDeployment(entry, source);
+
+      if (addr) {
+        entry = { name: "", network, chainId: "", address: ethers.getAddress(addr), rpcUrl: PUBLIC_RPCS[network] || "", labels: {} };
+      } else if (/^https?:$/.test(location.protocol)) {
+        const res = await fetch(`../deployment/deployments/${encodeURIComponent(network)}.json`, { cache: "no-store" }).catch(() => null);
+        if (res && res.ok) entry = entryFromFile(await res.json());
+      }
+      if (!entry) throw new Error(`no saved deployment for "${network}"; add &contract=0x… to the link`);
+      if (rpc && rpc !== entry.rpcUrl && confirm(`This link reads ${entry.address} through ${rpc}. Use that RPC?`)) {
+        entry = { ...entry, rpcUrl: rpc };
+      }
+      await useDeployment(entry, source);
+    } catch (e) {
+      $("connStatus").textContent = "Link error: " + e.message;
+    }
+  }
+
+  // Deployment files written by deployment/deploy.js; every file is saved, the last one is used
+  $("deployFile").onchange = async (ev) => {
+    const files = [...(ev.target.files || [])];
+    if (!files.length) return;
+    try {
+      let entry;
+      let stored = true;
+      for (const file of files) {
+        let dep;
+        try {
+          dep = JSON.parse(await file.text());
+          entry = entryFromFile(dep);
+        } catch (e) {
+          throw new Error(`${file.name}: ${e.message}`);
+        }
+        stored = saveDeployment(entry) && stored;
+      }
+      const note = stored ? `Saved ${files.length} deployment(s)` : "Loaded (browser storage unavailable, not saved)";
+      await useDeployment(entry, note);
+    } catch (e) {
+      $("connStatus").textContent = "Error: invalid deployment file (" + e.message + ")";
+    } finally {
+      ev.target.value = "";
+    }
+  };
+
+  $("deploySelect").onchange = async () => {
+    const entry = readRegistry().find((d) => d.name === $("deploySelect").value);
+    if (entry) await useDeployment(entry, `Switched to ${entry.name}`);
+  };
+
+  $("btnSaveDeploy").onclick = async () => {
+    try {
+      const name = $("deployName").value.trim();
+      const addr = $("contractAddr").value.trim();
+      if (!name) throw new Error("enter a name");
+      if (!ethers.isAddress(addr)) throw new Error("enter a valid contract address");
+      const same = activeDeployment && activeDeployment.address.toLowerCase() === addr.toLowerCase() ? activeDeployment : null;
+      let network = same ? same.network : "";
+      let chainId = same ? same.chainId : "";
+      if (!network && provider) {
+        const net = await provider.getNetwork();
+        network = net.name !== "unknown" ? net.name : "";
+        chainId = net.chainId.toString();
+      }
+      const labels = same ? { ...same.labels } : {};
+      const entry = { name, network, chainId, address: ethers.getAddress(addr), rpcUrl: $("rpcUrl").value.trim(), labels };
+      if (!saveDeployment(entry)) throw new Error("browser storage unavailable");
+      activeDeployment = entry;
+      renderRegistry(name);
+      $("connStatus").textContent = `Saved "${name}" ✅`;
+    } catch (e) {
+      $("connStatus").textContent = "Error: " + e.message;
+    }
+  };
+
+  $("btnRemoveDeploy").onclick = () => {
+    const name = $("deploySelect").value;
+    if (!name) return;
+    writeRegistry(readRegistry().filter((d) => d.name !== name));
+    renderRegistry();
+    $("connStatus").textContent = `Removed "${name}"`;
+  };
+
+  $("btnCopyConfig").onclick = () => {
+    if (!ethers.isAddress($("contractAddr").value.trim())) {
+      $("connStatus").textContent = "Error: enter a contract address first";
+      return;
+    }
+    const link = shareLink();
+    navigator.clipboard.writeText(link);
+    const network = new URL(link).searchParams.get("network");
+    $("connStatus").textContent = network
+      ? "Link copied ✅"
+      : "Link copied ✅ — no network known, recipients need this deployment saved or an RPC URL";
   };
 
   // ====== Load Contract State ======
@@ -64,14 +303,20 @@
     $("stateMsg").textContent = "Loading…";
 
     try {
-      const [guardian, disabled, tranche, hoursT, kgT, sHash] = await Promise.all([
+      const [guardian, disabled, tranche, hoursT, kgT, sHash, requestedAt, timelock, pending, pWindow, recovery] = await Promise.all([
         contract.guardianMultisig(),
         contract.disabled(),
         contract.tranche(),
         contract.hoursTarget(),
         contract.kgTarget(),
         contract.sourceHash(),
+        contract.disableRequestedAt(),
+        contract.disableTimelock(),
+        contract.pendingAction().catch(() => null),
+        contract.periodWindow().catch(() => 0n), // keyed periods only before periodWindow existed
+        contract.pendingRecovery().catch(() => null),
       ]);
+      periodWindow = pWindow;
 
       out($("guardian"), guardian);
       out($("disabled"), disabled ? "true" : "false");
@@ -79,13 +324,191 @@
       out($("hoursTarget"), hoursT.toString());
       out($("kgTarget"), kgT.toString());
       out($("sourceHash"), sHash);
+      out($("disableTimelock"), `${timelock}s (${fmtDuration(Number(timelock))})`);
+      out($("disableRequestedAt"), requestedAt > 0n ? isoTime(Number(requestedAt)) : "none");
+      out($("periodWindow"), pWindow > 0n ? `${pWindow}s (${fmtDuration(Number(pWindow))})` : "0 (keyed periods)");
+      out($("currentPeriod"), pWindow > 0n ? `${await contract.currentPeriodId()} · ${AASPeriod.windowLabel(Math.floor(Date.now() / 1000), pWindow)}` : "—");
+      if (!$("sbSafe").value.trim()) $("sbSafe").value = guardian;
       $("stateMsg").textContent = "State loaded ✓";
+
+      await loadSafety(disabled, pending === null ? null : PENDING[Number(pending)], requestedAt, timelock);
+      if (recovery) await loadRecovery(recovery, timelock);
+      else $("recoveryMsg").textContent = "This deployment has no timelocked recovery (guardianRecover transfers immediately).";
     } catch (e) {
       $("stateMsg").textContent = "Error: " + e.message;
     }
   }
 
   $("btnRefresh").onclick = loadState;
+
+  // ====== Safety & Timelock ======
+  let countdownTimer = null;
+
+  // AidAccessEscrowV2.PendingAction enum values
+  const PENDING = ["none", "disable", "enable"];
+
+  // 93784 → "1d 02:03:04"
+  function fmtDuration(secs) {
+    const d = Math.floor(secs / 86400);
+    const hms = new Date((secs % 86400) * 1000).toISOString().slice(11, 19);
+    return d > 0 ? `${d}d ${hms}` : hms;
+  }
+
+  // First block whose timestamp is >= ts (binary search; ~log2(height) reads)
+  async function firstBlockAtOrAfter(ts) {
+    let lo = 0;
+    let hi = await provider.getBlockNumber();
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      const b = await provider.getBlock(mid);
+      if (b.timestamp < ts) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // The request event carries `when == disableRequestedAt`, so only blocks at that timestamp can hold it.
+  // A null `action` (deployments without pendingAction) accepts either request event.
+  async function findRequestEvent(action, requestedAt) {
+    const start = await firstBlockAtOrAfter(Number(requestedAt));
+    const latest = await provider.getBlockNumber();
+    const names = action ? [action === "disable" ? "DisableRequested" : "EnableRequested"] : ["DisableRequested", "EnableRequested"];
+    const isRequest = (l) => names.includes(l.fragment?.name) && l.args.when === requestedAt;
+    const found = [];
+    await scanLogs("*", start, Math.min(latest, start + 999), {
+      onChunk: (logs) => found.push(...logs.filter(isRequest)),
+      shouldStop: () => found.length > 0,
+    });
+    const match = found.pop();
+    if (!match) return null;
+    return {
+      action: match.fragment.name === "DisableRequested" ? "disable" : "enable",
+      by: match.args.by,
+      txHash: match.transactionHash,
+    };
+  }
+
+  function showBanner(text, id = "safetyBanner") {
+    const banner = $(id);
+    banner.textContent = text || "";
+    banner.classList.toggle("hidden", !text);
+  }
+
+  // `action` is null on deployments without pendingAction; see loadLegacySafety
+  async function loadSafety(disabled, action, requestedAt, timelock) {
+    clearInterval(countdownTimer);
+    showBanner("");
+    ["pendingAction", "pendingBy", "pendingReadyAt", "pendingCountdown"].forEach((id) => out($(id), "—"));
+
+    if (action === "none" || (action === null && requestedAt === 0n)) {
+      out($("pendingAction"), "None");
+      $("safetyMsg").textContent = `No pending request · contract is ${disabled ? "DISABLED" : "enabled"}`;
+      return;
+    }
+    if (action === null) return loadLegacySafety(disabled, requestedAt, timelock);
+
+    const readyAt = Number(requestedAt + timelock);
+    out($("pendingAction"), action === "disable" ? "Disable" : "Enable");
+    out($("pendingReadyAt"), isoTime(readyAt));
+    const tick = () => {
+      const left = readyAt - Math.floor(Date.now() / 1000);
+      out($("pendingCountdown"), left > 0 ? fmtDuration(left) : "Ready to finalize");
+    };
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+
+    showBanner(
+      action === "disable"
+        ? `⚠ Pending DISABLE: after ${isoTime(readyAt)} the guardians can finalize it and all attestations and disbursements will stop.`
+        : `⚠ Pending ENABLE: after ${isoTime(readyAt)} the guardians can finalize it and attestations and disbursements will resume.`
+    );
+
+    $("safetyMsg").textContent = "Locating request event…";
+    try {
+      const req = await findRequestEvent(action, requestedAt);
+      if (req) out($("pendingBy"), req.by);
+      $("safetyMsg").textContent =
+        (req ? "" : "Request event not found on this RPC. ") +
+        `Guardians can finalize${action === "disable" ? "Disable" : "Enable"} once the timelock elapses, or cancel${action === "disable" ? "Disable" : "Enable"} to withdraw it.`;
+    } catch (e) {
+      $("safetyMsg").textContent = "Error: " + e.message;
+    }
+  }
+
+  // Deployments before pendingAction only record disableRequestedAt, shared by both
+  // requests; the request event says which one it was
+  async function loadLegacySafety(disabled, requestedAt, timelock) {
+    const readyAt = Number(requestedAt + timelock);
+    out($("pendingReadyAt"), isoTime(readyAt));
+    const tick = () => {
+      const left = readyAt - Math.floor(Date.now() / 1000);
+      out($("pendingCountdown"), left > 0 ? fmtDuration(left) : "Ready to finalize");
+    };
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+
+    $("safetyMsg").textContent = "Locating request event…";
+    try {
+      const req = await findRequestEvent(null, requestedAt);
+      if (!req) {
+        out($("pendingAction"), "Unknown (event not found)");
+        $("safetyMsg").textContent = "A request is pending but its event could not be located on this RPC.";
+        return;
+      }
+
+      out($("pendingAction"), req.action === "disable" ? "Disable" : "Enable");
+      out($("pendingBy"), req.by);
+      const flips = (req.action === "disable") !== disabled;
+      if (flips) {
+        showBanner(
+          req.action === "disable"
+            ? `⚠ Pending DISABLE: after ${isoTime(readyAt)} the guardians can finalize it and all attestations and disbursements will stop.`
+            : `⚠ Pending ENABLE: after ${isoTime(readyAt)} the guardians can finalize it and attestations and disbursements will resume.`
+        );
+      }
+      $("safetyMsg").textContent =
+        (flips ? "" : `Pending ${req.action} would not change the current state. `) +
+        "This deployment predates pendingAction: either finalizeDisable or finalizeEnable can consume the request, since both share disableRequestedAt.";
+    } catch (e) {
+      $("safetyMsg").textContent = "Error: " + e.message;
+    }
+  }
+
+  // ====== Guardian Recovery ======
+  let recoveryTimer = null;
+
+  async function loadRecovery([to, amount, requestedAt], timelock) {
+    clearInterval(recoveryTimer);
+    showBanner("", "recoveryBanner");
+    ["recoveryTo", "recoveryAmount", "recoveryReadyAt", "recoveryCountdown"].forEach((id) => out($(id), "—"));
+
+    if (requestedAt === 0n) {
+      $("recoveryMsg").textContent = "No pending recovery";
+      return;
+    }
+
+    const tok = new ethers.Contract(await contract.stable(), erc20Abi, provider);
+    const [decimals, symbol] = await Promise.all([tok.decimals(), tok.symbol().catch(() => "")]);
+    const amountText = `${ethers.formatUnits(amount, decimals)} ${symbol}`.trim();
+    const readyAt = Number(requestedAt + timelock);
+
+    out($("recoveryTo"), to);
+    out($("recoveryAmount"), amountText);
+    out($("recoveryReadyAt"), isoTime(readyAt));
+    const tick = () => {
+      const left = readyAt - Math.floor(Date.now() / 1000);
+      out($("recoveryCountdown"), left > 0 ? fmtDuration(left) : "Executable now");
+    };
+    tick();
+    recoveryTimer = setInterval(tick, 1000);
+
+    showBanner(
+      `⚠ Pending RECOVERY: ${amountText} leaves the escrow for ${to} once the guardians call executeRecovery, possible from ${isoTime(readyAt)}. This is not a disbursement.`,
+      "recoveryBanner"
+    );
+    $("recoveryMsg").textContent = `Requested ${isoTime(Number(requestedAt))} · guardians can executeRecovery after the timelock, or cancelRecovery to withdraw it.`;
+  }
+
   $("btnCopyState").onclick = () => {
     const data = {
       guardian: $("guardian").textContent,
@@ -94,6 +517,9 @@
       hoursTarget: $("hoursTarget").textContent,
       kgTarget: $("kgTarget").textContent,
       sourceHash: $("sourceHash").textContent,
+      disableTimelock: $("disableTimelock").textContent,
+      disableRequestedAt: $("disableRequestedAt").textContent,
+      periodWindow: $("periodWindow").textContent,
     };
     navigator.clipboard.writeText(JSON.stringify(data, null, 2));
     $("stateMsg").textContent = "Copied ✓";
@@ -143,22 +569,151 @@
     $("comparePanel").classList.remove("hidden");
   };
 
+  // ====== Signed Release Manifest ======
+  $("btnManifest").onclick = async () => {
+    const file = $("manifestPick").files[0];
+    if (!file) return ($("manifestMsg").textContent = "Select a manifest first");
+    const MF = window.AASManifest;
+    if (!MF) return ($("manifestMsg").textContent = "Manifest helper not loaded (../scripts/lib/manifest.js)");
+
+    try {
+      const manifest = JSON.parse(await file.text());
+      const results = MF.recoverSigners(manifest);
+
+      // Safe owners of the current guardian, when connected and the guardian is a Safe
+      let owners = null;
+      let threshold = null;
+      if (contract) {
+        const safe = await MF.safeOwners(await contract.guardianMultisig(), provider);
+        if (safe) ({ owners, threshold } = safe);
+      }
+
+      out($("manifestHash"), manifest.sha256Bytes32);
+      const onchain = $("sourceHash").textContent.trim().toLowerCase();
+      if (/^0x[0-9a-f]{64}$/.test(onchain)) {
+        const match = onchain === manifest.sha256Bytes32.toLowerCase();
+        $("manifestVsChain").textContent = match ? "✅ MATCH" : "❌ MISMATCH";
+        $("manifestVsChain").className = match ? "cmp-value good-text" : "cmp-value bad-text";
+      } else {
+        $("manifestVsChain").textContent = "— (connect to compare)";
+        $("manifestVsChain").className = "cmp-value";
+      }
+
+      listItems(
+        $("manifestSigners"),
+        results.map((r) => {
+          if (!r.valid) return `✖ invalid signature (claims ${r.signer})`;
+          if (!owners) return `✓ ${r.recovered} ${r.signedAt}`;
+          return owners.includes(r.recovered) ? `✓ ${r.recovered} — Safe owner` : `? ${r.recovered} — NOT a Safe owner`;
+        }),
+        manifest.schema === MF.SCHEMA_V1 ? "Unsigned v1 manifest" : "No signatures"
+      );
+
+      const approved = owners ? new Set(results.filter((r) => r.valid && owners.includes(r.recovered)).map((r) => r.recovered)).size : null;
+      $("manifestMsg").textContent =
+        owners
+          ? `${approved} of ${threshold} required guardian signature(s)${approved >= threshold ? " ✓" : ""}`
+          : `${results.filter((r) => r.valid).length} valid signature(s); connect to check against the guardian Safe`;
+      $("manifestPanel").classList.remove("hidden");
+    } catch (e) {
+      $("manifestMsg").textContent = "Error: " + e.message;
+    }
+  };
+
   // ====== Period Inspector ======
+  // Labels typed by users, remembered so explorer rows can show them
+  const knownLabels = new Map();
+
+  // Contract's periodWindow (0 = keyed periods), refreshed by loadState
+  let periodWindow = 0n;
+  const AASPeriod = window.AASPeriod;
+
+  // Keyed mode: label (e.g. "2026-10-19") → keccak256(abi.encodePacked(label)).
+  // Window mode: date or timestamp → key of the window containing it (scripts/lib/period.js).
+  // Raw bytes32 passes through; "" when the input has no key in the current mode.
+  function periodKey(input) {
+    try {
+      const r = AASPeriod.resolvePeriod(input || "", periodWindow);
+      return r ? r.id : "";
+    } catch {
+      return "";
+    }
+  }
+
+  function describePeriodInput(input) {
+    try {
+      const r = AASPeriod.resolvePeriod(input || "", periodWindow);
+      if (!r) return "—";
+      return r.mode === "window" ? `${r.id} · window ${r.label}` : r.id;
+    } catch (e) {
+      return e.message;
+    }
+  }
+
+  $("periodId").oninput = () => out($("periodKey"), describePeriodInput($("periodId").value));
+
+  const KINDS = { 1: "hours", 2: "kg" };
+
+  // One row per attestor and kind, from the contract's contribution records;
+  // null on deployments that predate them (no getAttestors)
+  async function readContributions(pid) {
+    const rows = [];
+    for (const kind of [1, 2]) {
+      const attestors = await contract.getAttestors(pid, kind).catch(() => null);
+      if (!attestors) return null;
+      const records = await Promise.all(attestors.map((a) => contract.getContribution(pid, kind, a)));
+      records.forEach(([value, metaHash, count, lastAt], i) => rows.push({ attestor: attestors[i], kind, value, metaHash, count, lastAt }));
+    }
+    return rows;
+  }
+
+  function renderContributions(rows) {
+    $("pAttestors").replaceChildren(
+      ...rows.map((r) => {
+        const tr = document.createElement("tr");
+        [r.attestor, KINDS[r.kind], r.value.toString(), r.count.toString(), r.metaHash, isoTime(Number(r.lastAt))].forEach((txt, i) => {
+          const td = document.createElement("td");
+          if (i !== 1) td.className = "mono";
+          td.textContent = txt;
+          tr.appendChild(td);
+        });
+        return tr;
+      })
+    );
+  }
+
   $("btnReadPeriod").onclick = async () => {
     if (!contract) return;
-    const pid = $("periodId").value.trim();
+    const label = $("periodId").value.trim();
+    const pid = periodKey(label);
     if (!pid) return;
 
+    if (pid !== label.toLowerCase()) knownLabels.set(pid, periodWindow > 0n ? AASPeriod.windowLabel(label, periodWindow) : label);
+    out($("periodKey"), describePeriodInput(label));
     $("meetsTargets").textContent = "…";
 
     try {
-      const meets = await contract.periodMeetsTargets(pid);
-      const [h, k, paid, created] = await contract.getPeriod(pid);
+      const [meets, [h, k, paid, created], quorum, rows] = await Promise.all([
+        contract.periodMeetsTargets(pid),
+        contract.getPeriod(pid),
+        contract.attestQuorum().catch(() => null),
+        readContributions(pid),
+      ]);
 
       out($("pHours"), h.toString());
       out($("pKg"), k.toString());
       out($("pPaid"), paid ? "true" : "false");
-      out($("pCreated"), new Date(Number(created) * 1000).toISOString());
+      out($("pCreated"), created > 0n ? new Date(Number(created) * 1000).toISOString() : "never attested");
+      // Older deployments have neither a quorum nor contribution records
+      const hasQuorum = quorum !== null && rows !== null;
+      $("pQuorumRow").classList.toggle("hidden", !hasQuorum);
+      $("pAttestorsWrap").classList.toggle("hidden", !hasQuorum);
+      if (hasQuorum) {
+        const distinct = (kind) => rows.filter((r) => r.kind === kind).length;
+        const quorumOk = distinct(1) >= quorum && distinct(2) >= quorum;
+        $("pQuorum").textContent = `${quorumOk ? "✅" : "❌"} hours ${distinct(1)} / ${quorum} · kg ${distinct(2)} / ${quorum} distinct attestors`;
+      }
+      renderContributions(rows || []);
       $("periodPanel").classList.remove("hidden");
       $("meetsTargets").textContent = meets ? "✅ Yes" : "❌ No";
       $("meetsTargets").className = meets ? "badge good" : "badge bad";
@@ -167,4 +722,850 @@
       console.error(e);
     }
   };
+
+  // ====== Evidence Check ======
+  // Dropped files, hashed once: [{ name, sha256 }]
+  let evidenceFiles = [];
+  const AASEvidence = window.AASEvidence;
+  // Every subset is tried up to this many files; beyond it, single files and the whole set
+  const EVIDENCE_SUBSET_LIMIT = 10;
+
+  const hexOf = (buf) => Array.from(new Uint8Array(buf)).map((b) => b.toString(16).padStart(2, "0")).join("");
+  const webSha256 = async (bytes) => hexOf(await crypto.subtle.digest("SHA-256", bytes));
+
+  async function addEvidence(fileList) {
+    const added = [];
+    for (const file of fileList) {
+      if (evidenceFiles.some((f) => f.name === file.name)) continue;
+      added.push({ name: file.name, sha256: await webSha256(await file.arrayBuffer()) });
+    }
+    evidenceFiles = evidenceFiles.concat(added);
+    $("evDropText").textContent = evidenceFiles.length
+      ? `${evidenceFiles.length} file(s): ${evidenceFiles.map((f) => f.name).join(", ")}`
+      : "Drop evidence files here, or click to choose";
+  }
+
+  // metaHash → file names, for single files and for every set the files can form
+  async function evidenceIndex(files) {
+    const index = new Map();
+    files.forEach((f) => index.set("0x" + f.sha256, [f.name]));
+    const sets = [];
+    if (files.length <= EVIDENCE_SUBSET_LIMIT) {
+      for (let mask = 1; mask < 1 << files.length; mask++) {
+        const set = files.filter((_, i) => mask & (1 << i));
+        if (set.length > 1) sets.push(set);
+      }
+    } else {
+      sets.push(files);
+    }
+    for (const set of sets) index.set(await AASEvidence.metaHashOf(set, webSha256), set.map((f) => f.name));
+    return index;
+  }
+
+  function evidenceCell(metaHash, index) {
+    const td = document.createElement("td");
+    if (metaHash === AASEvidence.ZERO) {
+      td.className = "muted";
+      td.textContent = "— none committed";
+    } else if (index.has(metaHash)) {
+      td.className = "good-text";
+      td.textContent = "✅ " + index.get(metaHash).join(", ");
+    } else {
+      td.className = "bad-text";
+      td.textContent = evidenceFiles.length ? "❌ no matching evidence" : "❌ no files dropped";
+    }
+    return td;
+  }
+
+  $("evFiles").onchange = async (e) => {
+    await addEvidence(e.target.files);
+    e.target.value = "";
+  };
+  const evDrop = $("evDrop");
+  evDrop.ondragover = (e) => {
+    e.preventDefault();
+    evDrop.classList.add("over");
+  };
+  evDrop.ondragleave = () => evDrop.classList.remove("over");
+  evDrop.ondrop = async (e) => {
+    e.preventDefault();
+    evDrop.classList.remove("over");
+    await addEvidence(e.dataTransfer.files);
+  };
+
+  $("btnEvidenceClear").onclick = () => {
+    evidenceFiles = [];
+    $("evDropText").textContent = "Drop evidence files here, or click to choose";
+    $("evBody").replaceChildren();
+    $("evUnmatched").replaceChildren();
+    $("evMsg").textContent = "—";
+  };
+
+  $("btnEvidence").onclick = async () => {
+    if (!contract) return ($("evMsg").textContent = "Connect first");
+    const pid = periodKey($("periodId").value);
+    if (!pid) return ($("evMsg").textContent = "Enter a period in the inspector above");
+    $("evMsg").textContent = "Loading attestations…";
+
+    try {
+      const from = Number($("peFrom").value.trim() || 0);
+      const to = await provider.getBlockNumber();
+      if (!Number.isInteger(from) || from < 0 || from > to) throw new Error("Invalid from block (Period Explorer)");
+
+      const logs = [];
+      await scanLogs(contract.filters.Attest(pid), from, to, {
+        onChunk: (chunk, end) => {
+          logs.push(...chunk);
+          $("evMsg").textContent = `Scanned to block ${end} of ${to}…`;
+        },
+      });
+      $("evMsg").textContent = "Hashing evidence sets…";
+      const index = await evidenceIndex(evidenceFiles);
+
+      const used = new Set();
+      $("evBody").replaceChildren(
+        ...logs.map((l) => {
+          const { kind, value, metaHash, attestor } = l.args;
+          (index.get(metaHash) || []).forEach((n) => used.add(n));
+          const tr = document.createElement("tr");
+          tr.title = l.transactionHash;
+          [String(l.blockNumber), attestor, KINDS[Number(kind)] || String(kind), value.toString(), metaHash].forEach((txt, i) => {
+            const td = document.createElement("td");
+            if (i !== 2) td.className = "mono";
+            td.textContent = txt;
+            tr.appendChild(td);
+          });
+          tr.appendChild(evidenceCell(metaHash, index));
+          return tr;
+        })
+      );
+
+      const unmatched = evidenceFiles.filter((f) => !used.has(f.name));
+      listItems($("evUnmatched"), unmatched.map((f) => `Unmatched file: ${f.name} (${f.sha256})`), evidenceFiles.length ? "Every dropped file backs an attestation" : "No files dropped");
+
+      const committed = logs.filter((l) => l.args.metaHash !== AASEvidence.ZERO);
+      const proven = committed.filter((l) => index.has(l.args.metaHash)).length;
+      $("evMsg").textContent = logs.length
+        ? `${logs.length} attestation(s) · ${proven} of ${committed.length} with committed evidence matched ✓`
+        : "No attestations for this period in the scanned range";
+    } catch (e) {
+      $("evMsg").textContent = "Error: " + e.message;
+    }
+  };
+
+  // ====== Period Explorer ======
+  // Keys only carry a hash, so try the usual label shapes near the first attestation
+  function guessLabel(pid, createdAt) {
+    if (knownLabels.has(pid)) return knownLabels.get(pid);
+    const label = AASPeriod.guessLabel(pid, createdAt, periodWindow);
+    if (label) knownLabels.set(pid, label);
+    return label;
+  }
+
+  const pct = (v, target) => (target === 0n ? 100 : Math.min(100, Number((v * 100n) / target)));
+
+  function progressCell(v, target) {
+    const td = document.createElement("td");
+    const txt = document.createElement("div");
+    txt.className = "mono";
+    txt.textContent = `${v} / ${target}`;
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    const fill = document.createElement("span");
+    fill.style.width = `${pct(v, target)}%`;
+    if (v >= target) fill.className = "good";
+    bar.appendChild(fill);
+    td.append(txt, bar);
+    return td;
+  }
+
+  function periodStatus(p) {
+    if (p.paid) return { text: "Paid", cls: "badge good" };
+    if (p.eligible) return { text: "Eligible — unpaid", cls: "badge warn" };
+    return { text: "In progress", cls: "badge" };
+  }
+
+  function renderPeriods(periods, hoursT, kgT) {
+    // No quorum column for deployments that predate it
+    const showQuorum = periods.every((p) => p.quorum !== null);
+    $("peQuorumCol").classList.toggle("hidden", !showQuorum);
+    $("peBody").replaceChildren(
+      ...periods.map((p) => {
+        const tr = document.createElement("tr");
+        tr.className = "clickable";
+        tr.title = p.id;
+
+        const name = document.createElement("td");
+        name.className = "mono";
+        name.textContent = p.label || shortHex(p.id);
+
+        const count = document.createElement("td");
+        count.className = "mono";
+        count.textContent = String(p.attestations);
+
+        const quorum = [];
+        if (showQuorum) {
+          const td = document.createElement("td");
+          td.className = "mono";
+          td.textContent = `${p.hoursAttestors} / ${p.kgAttestors}`;
+          if (p.hoursAttestors < p.quorum || p.kgAttestors < p.quorum) td.title = `Quorum is ${p.quorum} distinct attestors per kind`;
+          quorum.push(td);
+        }
+
+        const status = document.createElement("td");
+        const badge = document.createElement("span");
+        const st = periodStatus(p);
+        badge.className = st.cls;
+        badge.textContent = st.text;
+        status.appendChild(badge);
+
+        tr.append(name, progressCell(p.hours, hoursT), progressCell(p.kg, kgT), count, ...quorum, status);
+        tr.onclick = () => {
+          $("periodId").value = p.label || p.id;
+          $("btnReadPeriod").click();
+        };
+        return tr;
+      })
+    );
+  }
+
+  $("btnScanPeriods").onclick = async () => {
+    if (!contract) return ($("peMsg").textContent = "Connect first");
+    $("peMsg").textContent = "Scanning Attest events…";
+
+    try {
+      const from = Number($("peFrom").value.trim() || 0);
+      const to = await provider.getBlockNumber();
+      if (!Number.isInteger(from) || from < 0 || from > to) throw new Error("Invalid from block");
+
+      const counts = new Map();
+      await scanLogs(contract.filters.Attest(), from, to, {
+        onChunk: (logs, end) => {
+          logs.forEach((l) => counts.set(l.args.periodId, (counts.get(l.args.periodId) || 0) + 1));
+          $("peMsg").textContent = `Scanned to block ${end} of ${to}…`;
+        },
+      });
+
+      // attestQuorum / getAttestors are null on deployments that predate the quorum
+      const [hoursT, kgT, attestQuorum, disabled] = await Promise.all([
+        contract.hoursTarget(),
+        contract.kgTarget(),
+        contract.attestQuorum().catch(() => null),
+        contract.disabled(),
+      ]);
+      const periods = await Promise.all(
+        [...counts].map(async ([id, attestations]) => {
+          const [[hours, kg, paid, created], hoursBy, kgBy] = await Promise.all([
+            contract.getPeriod(id),
+            contract.getAttestors(id, 1).catch(() => null),
+            contract.getAttestors(id, 2).catch(() => null),
+          ]);
+          const quorum = hoursBy && kgBy ? attestQuorum : null;
+          return {
+            id,
+            label: guessLabel(id, Number(created)),
+            hours,
+            kg,
+            paid,
+            createdAt: Number(created),
+            attestations,
+            quorum,
+            hoursAttestors: hoursBy ? hoursBy.length : null,
+            kgAttestors: kgBy ? kgBy.length : null,
+            // Same test as periodMeetsTargets: nothing is payable while disabled
+            eligible: !disabled && !paid && hours >= hoursT && kg >= kgT && (quorum === null || (hoursBy.length >= quorum && kgBy.length >= quorum)),
+          };
+        })
+      );
+      periods.sort((a, b) => b.createdAt - a.createdAt);
+
+      renderPeriods(periods, hoursT, kgT);
+      const pending = periods.filter((p) => p.eligible).length;
+      $("peMsg").textContent = disabled
+        ? `${periods.length} periods · contract is disabled, none payable until re-enabled`
+        : `${periods.length} periods · ${pending} eligible but unpaid ✓`;
+    } catch (e) {
+      $("peMsg").textContent = "Error: " + e.message;
+    }
+  };
+
+  // ====== Audit Timeline ======
+  // Decoded rows accumulate in timeline.rows; timeline.cursor is the next block
+  // to scan, so a stopped or failed run can be resumed without refetching.
+  const timeline = { rows: [], cursor: null, to: null, running: false, stop: false };
+  const blockTimes = new Map();
+
+  function resetTimeline() {
+    timeline.rows = [];
+    timeline.cursor = null;
+    timeline.to = null;
+    blockTimes.clear();
+    renderTimeline();
+  }
+
+  // Providers word block-range rejections differently; match the common ones.
+  const isRangeError = (e) =>
+    /range|limit|too many|exceed|more than|response size/i.test(String(e?.error?.message || e?.message || e));
+
+  // Fetch logs for `filter` ("*" or a contract filter) on `target` (default: the
+  // escrow) in [from, to], chunked. Halves the chunk on range errors.
+  // Returns the next block to scan.
+  async function scanLogs(filter, from, to, { chunk = 5000, onChunk, shouldStop = () => false, target = contract } = {}) {
+    let start = from;
+    let size = chunk;
+    while (start <= to) {
+      if (shouldStop()) return start;
+      const end = Math.min(start + size - 1, to);
+      let logs;
+      try {
+        logs = await target.queryFilter(filter, start, end);
+      } catch (e) {
+        if (size > 1 && isRangeError(e)) {
+          size = Math.floor(size / 2);
+          continue;
+        }
+        throw e;
+      }
+      if (onChunk) await onChunk(logs, end);
+      start = end + 1;
+    }
+    return start;
+  }
+
+  async function blockTime(n) {
+    if (!blockTimes.has(n)) {
+      const b = await provider.getBlock(n);
+      blockTimes.set(n, b ? b.timestamp : null);
+    }
+    return blockTimes.get(n);
+  }
+
+  // EventLog → plain row (bigints stringified so rows export cleanly)
+  function decodeLog(log) {
+    const args = {};
+    log.fragment.inputs.forEach((input, i) => {
+      const v = log.args[i];
+      args[input.name] = typeof v === "bigint" || typeof v === "boolean" ? v.toString() : v;
+    });
+    return {
+      blockNumber: log.blockNumber,
+      timestamp: null,
+      event: log.fragment.name,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      args,
+    };
+  }
+
+  function timelineFiltered() {
+    const ev = $("tlEvent").value;
+    const pid = periodKey($("tlPeriod").value);
+    const addr = $("tlAddr").value.trim().toLowerCase();
+    return timeline.rows.filter((r) => {
+      if (ev && r.event !== ev) return false;
+      if (pid && String(r.args.periodId ?? "").toLowerCase() !== pid) return false;
+      if (addr && !Object.values(r.args).some((v) => String(v).toLowerCase() === addr)) return false;
+      return true;
+    });
+  }
+
+  const shortHex = (h) => (h && h.length > 14 ? `${h.slice(0, 8)}…${h.slice(-6)}` : h);
+  const isoTime = (ts) => (ts == null ? "—" : new Date(ts * 1000).toISOString().replace(".000Z", "Z"));
+
+  function renderTimeline() {
+    const body = $("tlBody");
+    const rows = timelineFiltered();
+    body.replaceChildren(
+      ...rows.map((r) => {
+        const tr = document.createElement("tr");
+        const details = Object.entries(r.args).map(([k, v]) => `${k}=${v}`).join(" · ");
+        [String(r.blockNumber), isoTime(r.timestamp), r.event, details, shortHex(r.txHash)].forEach((txt, i) => {
+          const td = document.createElement("td");
+          td.textContent = txt;
+          if (i !== 2) td.className = "mono";
+          if (i === 4) td.title = r.txHash;
+          tr.appendChild(td);
+        });
+        return tr;
+      })
+    );
+    $("tlCount").textContent = `${rows.length} of ${timeline.rows.length} events`;
+  }
+
+  async function runTimeline(resume) {
+    if (!contract) return ($("tlMsg").textContent = "Connect first");
+    if (timeline.running) return;
+
+    try {
+      if (!resume || timeline.cursor === null) {
+        const from = Number($("tlFrom").value.trim() || 0);
+        const toRaw = $("tlTo").value.trim();
+        const to = toRaw ? Number(toRaw) : await provider.getBlockNumber();
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+          throw new Error("Invalid block range");
+        }
+        resetTimeline();
+        timeline.cursor = from;
+        timeline.to = to;
+      } else if (timeline.cursor > timeline.to) {
+        $("tlMsg").textContent = `Complete through block ${timeline.to} ✓`;
+        return;
+      }
+
+      const chunk = Math.max(1, Number($("tlChunk").value) || 5000);
+      timeline.running = true;
+      timeline.stop = false;
+      await scanLogs("*", timeline.cursor, timeline.to, {
+        chunk,
+        shouldStop: () => timeline.stop,
+        onChunk: async (logs, end) => {
+          const rows = logs.filter((l) => l.fragment).map(decodeLog);
+          await Promise.all(rows.map(async (r) => (r.timestamp = await blockTime(r.blockNumber))));
+          timeline.rows.push(...rows);
+          timeline.cursor = end + 1;
+          $("tlMsg").textContent = `Scanned to block ${end} of ${timeline.to}…`;
+          renderTimeline();
+        },
+      });
+
+      $("tlMsg").textContent =
+        timeline.cursor > timeline.to
+          ? `Complete through block ${timeline.to} ✓`
+          : `Stopped at block ${timeline.cursor} — Resume to continue`;
+    } catch (e) {
+      $("tlMsg").textContent = `Error at block ${timeline.cursor ?? "—"}: ${e.message} — Resume to retry`;
+    } finally {
+      timeline.running = false;
+    }
+  }
+
+  $("btnTlLoad").onclick = () => runTimeline(false);
+  $("btnTlResume").onclick = () => runTimeline(true);
+  $("btnTlStop").onclick = () => { timeline.stop = true; };
+  ["tlEvent", "tlPeriod", "tlAddr"].forEach((id) => ($(id).oninput = renderTimeline));
+
+  // ====== Exports ======
+  function download(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  const csvCell = (v) => {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+
+  // Fixed columns first, then the union of event argument names
+  function toCsv(rows) {
+    const argCols = [...new Set(rows.flatMap((r) => Object.keys(r.args)))];
+    const head = ["blockNumber", "timestamp", "event", "txHash", "logIndex", ...argCols];
+    const lines = rows.map((r) =>
+      [r.blockNumber, isoTime(r.timestamp), r.event, r.txHash, r.logIndex, ...argCols.map((c) => r.args[c])]
+        .map(csvCell)
+        .join(",")
+    );
+    return [head.join(","), ...lines].join("\n") + "\n";
+  }
+
+  $("btnTlCsv").onclick = () => {
+    download("aid-escrow-timeline.csv", toCsv(timelineFiltered()), "text/csv");
+  };
+  $("btnTlJson").onclick = () => {
+    download("aid-escrow-timeline.json", JSON.stringify(timelineFiltered(), null, 2), "application/json");
+  };
+
+  // ====== Write Mode (wallet) ======
+  // Signer-bound contract; null until a wallet is connected for the current address
+  let signer, writer, token, tokenMeta;
+
+  // Contract revert strings → what the user can actually do about them
+  const REVERT_HELP = {
+    "AAS: operator not allowed": "That address is not on the operator allowlist. The guardian multisig must call setOperator(address, true) before it can receive a tranche.",
+    "AAS: targets not met": "This period has not reached both the corridor-hours and kg targets yet. Check it in the Period Inspector.",
+    "AAS: not attestor": "Your connected wallet is not registered in the attestor registry, so its attestations are rejected.",
+    "AAS: contract disabled": "The guardians have disabled the contract. Attestations and disbursements are paused until it is re-enabled.",
+    "AAS: already paid": "This period has already been paid out.",
+    "AAS: quorum not met": "Not enough distinct attestors have attested this period yet. The Period Inspector shows who attested each kind.",
+    "AAS: window closed": "The contract runs in window mode and only accepts attestations for the open window. Leave the period empty to use it.",
+    "AAS: zero deposit": "Enter an amount greater than zero.",
+    "AAS: zero value": "Enter a value greater than zero.",
+    "AAS: bad kind": "Kind must be 1 (corridor hours) or 2 (kg delivered).",
+    "AAS: transferFrom failed": "The token refused the transfer. Check your balance and allowance.",
+    "AAS: transfer failed": "The escrow does not hold enough tokens to pay this tranche.",
+  };
+
+  function explainError(e) {
+    if (e?.code === "ACTION_REJECTED") return "Request rejected in wallet.";
+    const reason = e?.reason || e?.revert?.args?.[0] || e?.info?.error?.message || e?.shortMessage || e?.message;
+    const key = Object.keys(REVERT_HELP).find((k) => String(reason).includes(k));
+    return key ? `${REVERT_HELP[key]} (${key})` : String(reason);
+  }
+
+  function resetWallet() {
+    signer = writer = token = null;
+    $("writePanel").classList.add("hidden");
+    $("walletStatus").textContent = "No wallet connected";
+    $("walletStatus").className = "status muted";
+  }
+
+  $("btnWallet").onclick = async () => {
+    try {
+      if (!contract) throw new Error("Connect & Load the contract first");
+      if (!window.ethereum) throw new Error("No EIP-1193 wallet found in this browser");
+
+      const browser = new ethers.BrowserProvider(window.ethereum);
+      await browser.send("eth_requestAccounts", []);
+      signer = await browser.getSigner();
+
+      // The wallet must be on the same chain the dashboard reads from
+      const [walletNet, readNet] = await Promise.all([browser.getNetwork(), provider.getNetwork()]);
+      if (walletNet.chainId !== readNet.chainId) {
+        throw new Error(`Wallet is on chain ${walletNet.chainId}, dashboard RPC is on chain ${readNet.chainId}`);
+      }
+
+      writer = new ethers.Contract(await contract.getAddress(), abi, signer);
+      token = new ethers.Contract(await contract.stable(), erc20Abi, signer);
+      const [symbol, decimals] = await Promise.all([token.symbol().catch(() => "tokens"), token.decimals()]);
+      tokenMeta = { symbol, decimals };
+
+      // A different account or chain invalidates the signer
+      ["accountsChanged", "chainChanged"].forEach((ev) => {
+        window.ethereum.removeListener?.(ev, resetWallet);
+        window.ethereum.on?.(ev, resetWallet);
+      });
+
+      $("wTokenInfo").textContent = `(${symbol}, ${decimals} decimals)`;
+      $("walletStatus").textContent = `Wallet ${await signer.getAddress()} ✓`;
+      $("walletStatus").className = "status good";
+      $("writePanel").classList.remove("hidden");
+    } catch (e) {
+      resetWallet();
+      $("walletStatus").textContent = "Error: " + explainError(e);
+      $("walletStatus").className = "status bad";
+    }
+  };
+
+  // Simulate first (staticCall), then ask for a signature only if it would succeed
+  async function sendWrite(msgEl, target, fn, args) {
+    const msg = (txt, cls = "muted") => { msgEl.textContent = txt; msgEl.className = `status ${cls}`; };
+    try {
+      msg("Simulating…");
+      await target[fn].staticCall(...args);
+      msg("Confirm in wallet…");
+      const tx = await target[fn](...args);
+      msg(`Submitted ${shortHex(tx.hash)} — waiting…`);
+      const receipt = await tx.wait();
+      msg(`✓ ${fn} confirmed in block ${receipt.blockNumber}`, "good");
+      return true;
+    } catch (e) {
+      msg("✖ " + explainError(e), "bad");
+      return false;
+    }
+  }
+
+  function bytes32OrZero(v) {
+    const raw = (v || "").trim();
+    if (!raw) return ethers.ZeroHash;
+    const hex = raw.startsWith("0x") ? raw : "0x" + raw;
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hex)) throw new Error("metaHash must be 32 bytes (64 hex chars)");
+    return hex.toLowerCase();
+  }
+
+  $("btnDeposit").onclick = async () => {
+    const msgEl = $("wDepMsg");
+    try {
+      if (!writer) throw new Error("Connect a wallet first");
+      const { symbol, decimals } = tokenMeta;
+      const amount = ethers.parseUnits($("wDepAmount").value.trim() || "0", decimals);
+      if (amount <= 0n) throw new Error(REVERT_HELP["AAS: zero deposit"]);
+
+      const me = await signer.getAddress();
+      const escrow = await writer.getAddress();
+      const [balance, allowance] = await Promise.all([token.balanceOf(me), token.allowance(me, escrow)]);
+      if (balance < amount) {
+        throw new Error(`Your balance is ${ethers.formatUnits(balance, decimals)} ${symbol}, less than the deposit`);
+      }
+
+      // Step 1: ERC-20 approve, only when the current allowance is short
+      if (allowance < amount) {
+        msgEl.textContent = `Step 1/2: approve ${ethers.formatUnits(amount, decimals)} ${symbol}`;
+        if (!(await sendWrite(msgEl, token, "approve", [escrow, amount]))) return;
+      }
+      // Step 2: deposit
+      if (await sendWrite(msgEl, writer, "deposit", [amount])) await loadState();
+    } catch (e) {
+      msgEl.textContent = "✖ " + explainError(e);
+      msgEl.className = "status bad";
+    }
+  };
+
+  $("btnAttest").onclick = async () => {
+    const msgEl = $("wAttMsg");
+    try {
+      if (!writer) throw new Error("Connect a wallet first");
+      // In window mode an empty period means the open window
+      const typed = $("wAttPeriod").value.trim();
+      const pid = !typed && periodWindow > 0n ? await contract.currentPeriodId() : periodKey(typed);
+      if (!pid) throw new Error(periodWindow > 0n ? "Enter a date, timestamp or periodId" : "Enter a period label or periodId");
+      const kind = Number($("wAttKind").value);
+      const value = BigInt($("wAttValue").value.trim() || "0");
+      await sendWrite(msgEl, writer, "attest", [pid, kind, value, bytes32OrZero($("wAttMeta").value)]);
+    } catch (e) {
+      msgEl.textContent = "✖ " + explainError(e);
+      msgEl.className = "status bad";
+    }
+  };
+
+  $("btnDisburse").onclick = async () => {
+    const msgEl = $("wDisMsg");
+    try {
+      if (!writer) throw new Error("Connect a wallet first");
+      const pid = periodKey($("wDisPeriod").value);
+      if (!pid) throw new Error(periodWindow > 0n ? "Enter a date, timestamp or periodId" : "Enter a period label or periodId");
+      const to = ethers.getAddress($("wDisTo").value.trim());
+      if (await sendWrite(msgEl, writer, "disburse", [pid, to])) await loadState();
+    } catch (e) {
+      msgEl.textContent = "✖ " + explainError(e);
+      msgEl.className = "status bad";
+    }
+  };
+
+  // ====== Guardian Safe Batch ======
+  // Encoding and diffing live in scripts/lib/safe-batch.js so the CLI builds identical batches
+  const SB = window.AASSafeBatch;
+  // Queued { method, args, changes, warnings }; diffs are recomputed for the whole
+  // queue on every change, as each call sees the state left by the ones before it
+  const sbCalls = [];
+
+  function renderSbArgs() {
+    const frag = SB.fragmentFor($("sbMethod").value);
+    $("sbArgs").replaceChildren(
+      ...frag.inputs.map((input, i) => {
+        const label = document.createElement("label");
+        label.className = "stack";
+        const span = document.createElement("span");
+        span.className = "label";
+        span.textContent = `${input.name} (${input.type}${input.type === "uint256" ? ", token base units" : ""})`;
+
+        let field;
+        if (input.type === "bool") {
+          field = document.createElement("select");
+          field.append(new Option("true"), new Option("false"));
+        } else {
+          field = document.createElement("input");
+          field.type = "text";
+          field.className = "mono";
+          field.placeholder = input.type === "uint256" ? "0" : "0x…";
+          field.autocomplete = "off";
+          field.spellcheck = false;
+        }
+        field.id = `sbArg${i}`;
+        label.append(span, field);
+        return label;
+      })
+    );
+  }
+
+  function renderSbList() {
+    $("sbList").replaceChildren(
+      ...sbCalls.map((c, idx) => {
+        const li = document.createElement("li");
+        const head = document.createElement("div");
+        head.className = "mono";
+        head.textContent = `${c.method}(${c.args.join(", ")}) `;
+        const rm = document.createElement("button");
+        rm.className = "btn ghost";
+        rm.textContent = "Remove";
+        rm.onclick = () => {
+          sbCalls.splice(idx, 1);
+          refreshSbDiffs();
+        };
+        head.appendChild(rm);
+
+        const ul = document.createElement("ul");
+        c.changes.forEach((line) => {
+          const item = document.createElement("li");
+          item.textContent = line;
+          ul.appendChild(item);
+        });
+        c.warnings.forEach((line) => {
+          const item = document.createElement("li");
+          item.className = "warn-text";
+          item.textContent = "⚠ " + line;
+          ul.appendChild(item);
+        });
+        li.append(head, ul);
+        return li;
+      })
+    );
+    $("sbMsg").textContent = `${sbCalls.length} call(s) queued`;
+  }
+
+  async function refreshSbDiffs() {
+    try {
+      if (sbCalls.length) {
+        $("sbMsg").textContent = "Reading current state…";
+        const escrow = new ethers.Contract(await contract.getAddress(), SB.GUARDIAN_ABI, provider);
+        const diffs = await SB.describeBatch(escrow, sbCalls);
+        diffs.forEach((d, i) => Object.assign(sbCalls[i], d));
+      }
+      renderSbList();
+    } catch (e) {
+      $("sbMsg").textContent = "Error: " + e.message;
+    }
+  }
+
+  if (SB) {
+    SB.GUARDIAN_METHODS.forEach((m) => $("sbMethod").appendChild(new Option(m)));
+    $("sbMethod").onchange = renderSbArgs;
+    renderSbArgs();
+  } else {
+    $("sbMsg").textContent = "Batch helper not loaded — serve the repo root so ../scripts/lib/ is reachable";
+  }
+
+  $("btnSbAdd").onclick = async () => {
+    try {
+      if (!SB || !contract) throw new Error("Connect first");
+      const method = $("sbMethod").value;
+      const raw = SB.fragmentFor(method).inputs.map((_, i) => $(`sbArg${i}`).value);
+      const args = SB.coerceArgs(method, raw);
+      sbCalls.push({ method, args, changes: [], warnings: [] });
+      await refreshSbDiffs();
+    } catch (e) {
+      $("sbMsg").textContent = "Error: " + e.message;
+    }
+  };
+
+  $("btnSbClear").onclick = () => {
+    sbCalls.length = 0;
+    renderSbList();
+  };
+
+  $("btnSbDownload").onclick = async () => {
+    try {
+      if (!contract) throw new Error("Connect first");
+      if (!sbCalls.length) throw new Error("Queue at least one call");
+      const escrow = await contract.getAddress();
+      const { chainId } = await provider.getNetwork();
+      const json = SB.buildBatch({
+        chainId,
+        safe: $("sbSafe").value.trim(),
+        transactions: sbCalls.map((c) => SB.buildTransaction(escrow, c.method, c.args)),
+      });
+      download("guardian-batch.json", JSON.stringify(json, null, 2), "application/json");
+      $("sbMsg").textContent = "Batch downloaded ✓ — load it in Safe → Transaction Builder";
+    } catch (e) {
+      $("sbMsg").textContent = "Error: " + e.message;
+    }
+  };
+
+  // ====== Solvency & Runway ======
+  function listItems(el, lines, empty) {
+    el.replaceChildren(
+      ...(lines.length ? lines : [empty]).map((line) => {
+        const li = document.createElement("li");
+        li.textContent = line;
+        return li;
+      })
+    );
+  }
+
+  $("btnSolvency").onclick = async () => {
+    if (!contract) return ($("svMsg").textContent = "Connect first");
+    if (!window.AASSolvency) return ($("svMsg").textContent = "Solvency helper not loaded (../scripts/lib/solvency.js)");
+
+    try {
+      const escrowAddr = await contract.getAddress();
+      const tok = new ethers.Contract(await contract.stable(), erc20Abi, provider);
+      const to = await provider.getBlockNumber();
+      const from = Number($("svFrom").value.trim() || 0);
+      if (!Number.isInteger(from) || from < 0 || from > to) throw new Error("Invalid from block");
+
+      const collect = async (filter, target = contract) => {
+        const logs = [];
+        await scanLogs(filter, from, to, {
+          target,
+          onChunk: (chunk, end) => {
+            logs.push(...chunk);
+            $("svMsg").textContent = `Scanning to block ${end} of ${to}…`;
+          },
+        });
+        return logs;
+      };
+
+      const [balance, tranche, hoursT, kgT, disabled, decimals, symbol] = await Promise.all([
+        tok.balanceOf(escrowAddr),
+        contract.tranche(),
+        contract.hoursTarget(),
+        contract.kgTarget(),
+        contract.disabled(),
+        tok.decimals(),
+        tok.symbol().catch(() => ""),
+      ]);
+
+      const deposits = (await collect(contract.filters.Deposit())).map((l) => ({
+        from: l.args.from, amount: l.args.amount, txHash: l.transactionHash, blockNumber: l.blockNumber,
+      }));
+      const disburses = (await collect(contract.filters.Disburse())).map((l) => ({
+        periodId: l.args.periodId, to: l.args.to, amount: l.args.amount, txHash: l.transactionHash, blockNumber: l.blockNumber,
+      }));
+      const outflows = (await collect(tok.filters.Transfer(escrowAddr), tok)).map((l) => ({
+        to: l.args.to, amount: l.args.value, txHash: l.transactionHash, blockNumber: l.blockNumber,
+      }));
+      const ids = [...new Set((await collect(contract.filters.Attest())).map((l) => l.args.periodId))];
+      const periods = await Promise.all(
+        ids.map(async (id) => {
+          // Deployments without quorumMet have no attestor quorum to meet
+          const [[hours, kg, paid, created], quorum] = await Promise.all([contract.getPeriod(id), contract.quorumMet(id).catch(() => true)]);
+          // Same test as periodMeetsTargets: nothing is payable while disabled
+          return { id, label: guessLabel(id, Number(created)), eligible: !disabled && !paid && hours >= hoursT && kg >= kgT && quorum };
+        })
+      );
+
+      const r = window.AASSolvency.summarize({ balance, tranche, deposits, disburses, outflows, periods });
+      const fmt = (v) => `${ethers.formatUnits(v, decimals)} ${symbol}`.trim();
+
+      out($("svBalance"), fmt(r.balance));
+      out($("svCovered"), r.tranchesCovered === null ? "n/a (tranche 0)" : `${r.tranchesCovered} × ${fmt(r.tranche)}`);
+      out($("svOutstanding"), `${r.outstanding.length} = ${fmt(r.outstandingTotal)}`);
+      out($("svShortfall"), r.shortfall > 0n ? fmt(r.shortfall) : "none");
+      $("svShortfall").className = r.shortfall > 0n ? "v mono bad-text" : "v mono";
+      out($("svDeposited"), fmt(r.totals.deposited));
+      out($("svDisbursed"), fmt(r.totals.disbursed));
+      out($("svRecovered"), fmt(r.totals.recovered));
+
+      listItems($("svPeriods"), r.outstanding.map((p) => p.label ? `${p.label} (${shortHex(p.id)})` : p.id), "None — every eligible period is paid");
+      listItems(
+        $("svRecoveries"),
+        r.recoveries.map((x) => `${fmt(x.amount)} → ${x.to} · block ${x.blockNumber} · ${shortHex(x.txHash)}`),
+        "None in range"
+      );
+
+      $("svDepositors").replaceChildren(
+        ...r.depositors.map((d) => {
+          const tr = document.createElement("tr");
+          const share = r.totals.deposited > 0n ? Number((d.total * 10000n) / r.totals.deposited) / 100 : 0;
+          [d.address, fmt(d.total), String(d.count), `${share}%`].forEach((txt) => {
+            const td = document.createElement("td");
+            td.className = "mono";
+            td.textContent = txt;
+            tr.appendChild(td);
+          });
+          return tr;
+        })
+      );
+
+      $("svMsg").textContent = `Blocks ${from} → ${to} ✓` + (disabled ? " · contract is disabled, no period is payable until re-enabled" : "");
+    } catch (e) {
+      $("svMsg").textContent = "Error: " + e.message;
+    }
+  };
+
+  // ====== Startup ======
+  renderRegistry();
+  await openFromUrl();
 })();
@@ -5,21 +5,48 @@
  * Aid Access Escrow V2 — Hardhat / Ethers Deployment Script
  * ------------------------------------------------------------
  * • Deploys AidAccessEscrowV2 to a configured network (mainnet, testnet, or L2)
- * • Accepts env vars or CLI overrides for constructor params
- * • Saves deployment metadata to ./deployment/deployments/<network>.json
+ * • Reads constructor params from deployment/config/<network>.json;
+ *   env vars override individual values
+ * • Validates before spending gas: checksummed addresses with code behind
+ *   STABLE / ATTESTORS, a 32-byte SOURCE_HASH, whole-number targets, and
+ *   TRANCHE given in token units (scaled by the token's decimals)
+ * • --dry-run / DRY_RUN=1: prints constructor calldata, gas estimate and a
+ *   summary, and broadcasts nothing
+ * • --local-stack / LOCAL_STACK=1 (local chain only): deploys a mock stable
+ *   and attestor registry first, deploys the escrow against them and seeds
+ *   deposits, operators and attestations (see deployment/local-stack.js)
+ * • Signs with an encrypted key file (KEY_FILE / --key-file) when given,
+ *   decrypted in memory after a passphrase prompt; otherwise uses the
+ *   network's configured accounts
+ * • Reads every constructor value back from the deployed contract and
+ *   fails (exit 1) on any mismatch
+ * • Saves deployment metadata (incl. deploy tx hash and block) to
+ *   ./deployment/deployments/<network>.json (latest verified deployment) and
+ *   appends it to ./deployment/deployments/<network>.history.jsonl, so
+ *   earlier addresses are never lost
  *
  * Usage:
  *   npx hardhat run deployment/deploy.js --network arbitrum
+ *   DRY_RUN=1 npx hardhat run deployment/deploy.js --network arbitrum
+ *   KEY_FILE=guardian-key.pem.enc npx hardhat run deployment/deploy.js --network arbitrum
+ *   HARDHAT_NETWORK=arbitrum node deployment/deploy.js --key-file guardian-key.pem.enc --dry-run
+ *   npx hardhat node   &&   LOCAL_STACK=1 npx hardhat run deployment/deploy.js --network localhost
  *
- * Env or CLI:
+ * Config (deployment/config/<network>.json, see example.json; or DEPLOY_CONFIG=<path>):
+ *   { "stable": "0x…", "attestors": "0x…", "guardian": "0x…", "sourceHash": "0x…",
+ *     "hoursTarget": 60, "kgTarget": 1500000, "tranche": "1000", "timelockSecs": 259200 }
+ *
+ * Env overrides:
  *   STABLE=<erc20 address>
  *   ATTESTORS=<registry address>
  *   GUARDIAN=<multisig address>
  *   SOURCE_HASH=<0xsha256...>
  *   HOURS_TARGET=<int>
  *   KG_TARGET=<int>
- *   TRANCHE=<int>
+ *   TRANCHE=<decimal, in token units, e.g. 1000 or 1000.50>
+ *   STABLE_DECIMALS=<int>      (only if the token cannot be queried)
  *   TIMELOCK_SECS=<int>
+ *   KEY_FILE=<encrypted key>   (encrypt-keys.js v2/legacy file or keystore v3 JSON)
  *
  * Example:
  *   STABLE=0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48 \
@@ -28,7 +55,7 @@
  *   SOURCE_HASH=0x1234abcd... \
  *   HOURS_TARGET=60 \
  *   KG_TARGET=1500000 \
- *   TRANCHE=1000000000 \
+ *   TRANCHE=1000 \
  *   TIMELOCK_SECS=259200 \
  *   npx hardhat run deployment/deploy.js --network arbitrum
  * ============================================================
@@ -37,6 +64,220 @@
 const fs = require('fs');
 const path = require('path');
 const hre = require('hardhat');
+const { withSigner } = require('../scripts/lib/signer');
+const localStack = require('./local-stack');
+
+const { ethers } = hre;
+
+// `hardhat run` rejects unknown flags, so --key-file / --dry-run only work with plain `node`
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+// Constructor parameters in constructor order: config key, env override, type
+const PARAMS = [
+  { key: 'stable', env: 'STABLE', type: 'contract' },
+  { key: 'attestors', env: 'ATTESTORS', type: 'contract' },
+  { key: 'guardian', env: 'GUARDIAN', type: 'address' },
+  { key: 'sourceHash', env: 'SOURCE_HASH', type: 'bytes32' },
+  { key: 'hoursTarget', env: 'HOURS_TARGET', type: 'uint', def: 60 },
+  { key: 'kgTarget', env: 'KG_TARGET', type: 'uint', def: 1500000 },
+  { key: 'tranche', env: 'TRANCHE', type: 'amount' },
+  { key: 'timelockSecs', env: 'TIMELOCK_SECS', type: 'uint', def: 259200 }, // 72h
+];
+
+function loadConfig(networkName) {
+  const file = process.env.DEPLOY_CONFIG || path.join(__dirname, 'config', `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    if (process.env.DEPLOY_CONFIG) throw new Error(`Config not found: ${file}`);
+    return { file: null, values: {} };
+  }
+  try {
+    return { file, values: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+function checkAddress(name, value) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) throw new Error(`${name}: not an address: ${value}`);
+  let addr;
+  try {
+    addr = ethers.getAddress(value);
+  } catch {
+    throw new Error(`${name}: bad EIP-55 checksum (typo?): ${value}`);
+  }
+  if (addr === ethers.ZeroAddress) throw new Error(`${name}: zero address`);
+  if (value !== addr && value !== value.toLowerCase()) throw new Error(`${name}: bad EIP-55 checksum (typo?): ${value}`);
+  if (value === value.toLowerCase()) console.log(`[warn] ${name} has no checksum; using ${addr}`);
+  return addr;
+}
+
+/**
+ * Merge config file and env, then validate every value.
+ * Precedence: forced (local-stack mocks) > env > config > defaults > built-in.
+ * Returns { params, sources, stableMeta } with params in constructor order.
+ */
+async function resolveParams(networkName, { forced = {}, defaults = {} } = {}) {
+  const config = loadConfig(networkName);
+  const params = {};
+  const sources = {};
+  const problems = [];
+
+  for (const p of PARAMS) {
+    const candidates = [
+      ['local-stack', forced[p.key]],
+      ['env', process.env[p.env] || undefined],
+      ['config', config.values[p.key]],
+      ['local-stack', defaults[p.key]],
+      ['default', p.def],
+    ];
+    const [source, raw] = candidates.find(([, v]) => v !== undefined) || ['missing', undefined];
+    sources[p.key] = source;
+    const name = `${p.env} (${p.key})`;
+    try {
+      if (raw === undefined || raw === null || raw === '') throw new Error(`${name}: missing (set it in the config file or env)`);
+      const value = String(raw).trim();
+      if (p.type === 'address' || p.type === 'contract') {
+        params[p.key] = checkAddress(name, value);
+        if (p.type === 'contract' && (await ethers.provider.getCode(params[p.key])) === '0x') {
+          throw new Error(`${name}: no contract deployed at ${params[p.key]} on ${networkName}`);
+        }
+      } else if (p.type === 'bytes32') {
+        if (!/^0x[0-9a-fA-F]*$/.test(value)) throw new Error(`${name}: not hex: ${value}`);
+        const bytes = (value.length - 2) / 2;
+        if (bytes !== 32) throw new Error(`${name}: must be 32 bytes (0x + 64 hex chars), got ${bytes} bytes`);
+        params[p.key] = value.toLowerCase();
+      } else if (p.type === 'uint') {
+        if (!/^\d+$/.test(value)) throw new Error(`${name}: not a whole number: ${value}`);
+        params[p.key] = BigInt(value);
+      } else {
+        params[p.key] = value; // amount: scaled below once decimals are known
+      }
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+
+  let stableMeta = null;
+  if (params.stable && params.tranche !== undefined) {
+    try {
+      stableMeta = await tokenMeta(params.stable, config.values.stableDecimals);
+      params.tranche = trancheUnits(params.tranche, stableMeta);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+  if (params.hoursTarget === 0n && params.kgTarget === 0n) problems.push('HOURS_TARGET and KG_TARGET are both 0: every period would qualify');
+
+  if (problems.length) {
+    throw new Error(`Invalid deployment parameters${config.file ? ` (${config.file})` : ''}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return { params, sources, configFile: config.file, stableMeta };
+}
+
+async function tokenMeta(address, configDecimals) {
+  const override = process.env.STABLE_DECIMALS || configDecimals;
+  const token = new ethers.Contract(
+    address,
+    ['function decimals() view returns (uint8)', 'function symbol() view returns (string)'],
+    ethers.provider
+  );
+  const [decimals, symbol] = await Promise.all([
+    override !== undefined ? Number(override) : token.decimals().then(Number).catch(() => null),
+    token.symbol().catch(() => '?'),
+  ]);
+  if (decimals === null || !Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+    throw new Error(`STABLE (stable): cannot read decimals() of ${address}; set STABLE_DECIMALS`);
+  }
+  return { decimals, symbol };
+}
+
+// "1000.5" token units → base units; rejects more fractional digits than the token has
+function trancheUnits(amount, { decimals, symbol }) {
+  const m = /^(\d+)(?:\.(\d+))?$/.exec(amount);
+  if (!m) throw new Error(`TRANCHE (tranche): not a decimal amount: ${amount}`);
+  if ((m[2] || '').length > decimals) throw new Error(`TRANCHE (tranche): ${symbol} has only ${decimals} decimals: ${amount}`);
+  const units = ethers.parseUnits(amount, decimals);
+  if (units === 0n) throw new Error('TRANCHE (tranche): must be > 0');
+  return units;
+}
+
+function constructorArgs(params) {
+  return PARAMS.map((p) => params[p.key]);
+}
+
+// Constructor value → on-chain getter, checked after deployment
+const READ_BACK = {
+  stable: 'stable',
+  attestors: 'attestors',
+  guardian: 'guardianMultisig',
+  sourceHash: 'sourceHash',
+  hoursTarget: 'hoursTarget',
+  kgTarget: 'kgTarget',
+  tranche: 'tranche',
+  timelockSecs: 'disableTimelock',
+};
+
+/** Read every parameter back from the contract. Returns [{ key, getter, expected, actual }] mismatches. */
+async function readBack(contract, params) {
+  const mismatches = [];
+  for (const [key, getter] of Object.entries(READ_BACK)) {
+    const actual = await contract[getter]();
+    const expected = params[key];
+    const same = typeof expected === 'bigint' ? actual === expected : String(actual).toLowerCase() === String(expected).toLowerCase();
+    console.log(`  ${same ? '✓' : '✖'} ${getter.padEnd(17)} ${actual}`);
+    if (!same) mismatches.push({ key, getter, expected: String(expected), actual: String(actual) });
+  }
+  return mismatches;
+}
+
+// Append-only history; a pre-history <network>.json is carried over on first use
+function appendHistory(outDir, networkName, record) {
+  const historyFile = path.join(outDir, `${networkName}.history.jsonl`);
+  const latestFile = path.join(outDir, `${networkName}.json`);
+  if (!fs.existsSync(historyFile) && fs.existsSync(latestFile)) {
+    fs.appendFileSync(historyFile, JSON.stringify(JSON.parse(fs.readFileSync(latestFile, 'utf8'))) + '\n');
+  }
+  fs.appendFileSync(historyFile, JSON.stringify(record) + '\n');
+  return historyFile;
+}
+
+// JSON-safe copy (bigint → decimal string)
+function plain(value) {
+  return JSON.parse(JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v)));
+}
+
+function fmtDuration(secs) {
+  const s = Number(secs);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return [d && `${d}d`, h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ') || `${s}s`;
+}
+
+function printSummary({ params, sources, configFile, stableMeta }) {
+  const src = (k) => `[${sources[k]}]`;
+  console.log('Constructor parameters' + (configFile ? ` (config: ${path.relative(process.cwd(), configFile)})` : ' (no config file)') + ':');
+  console.log(`  stable        ${params.stable} (${stableMeta.symbol}, ${stableMeta.decimals} decimals) ${src('stable')}`);
+  console.log(`  attestors     ${params.attestors} ${src('attestors')}`);
+  console.log(`  guardian      ${params.guardian} ${src('guardian')}`);
+  console.log(`  sourceHash    ${params.sourceHash} ${src('sourceHash')}`);
+  console.log(`  hoursTarget   ${params.hoursTarget} h ${src('hoursTarget')}`);
+  console.log(`  kgTarget      ${params.kgTarget} kg ${src('kgTarget')}`);
+  console.log(`  tranche       ${ethers.formatUnits(params.tranche, stableMeta.decimals)} ${stableMeta.symbol} (${params.tranche} base units) ${src('tranche')}`);
+  console.log(`  timelockSecs  ${params.timelockSecs} (${fmtDuration(params.timelockSecs)}) ${src('timelockSecs')}`);
+}
+
+// Run `fn` with the deployer: the decrypted key file, or the first configured account
+async function withDeployer(fn) {
+  const keyFile = argValue('--key-file') || process.env.KEY_FILE;
+  if (keyFile) return withSigner({ keyFile, provider: ethers.provider }, fn);
+  const [account] = await ethers.getSigners();
+  if (!account) throw new Error('No deployer: pass --key-file / KEY_FILE or configure accounts for this network');
+  return fn(account);
+}
 
 async function main() {
   console.log('==========================================================');
@@ -44,61 +285,107 @@ async function main() {
   console.log('==========================================================');
 
   const networkName = hre.network.name;
-  const [deployer] = await hre.ethers.getSigners();
-  console.log('[network]', networkName);
-  console.log('[deployer]', deployer.address);
-  console.log('[balance]', (await deployer.provider.getBalance(deployer.address)).toString());
+  const flag = (name, envName) => process.argv.includes(name) || /^(1|true)$/i.test(process.env[envName] || '');
+  const dryRun = flag('--dry-run', 'DRY_RUN');
+  const local = flag('--local-stack', 'LOCAL_STACK');
+  const { chainId } = await ethers.provider.getNetwork();
+  console.log('[network]', networkName, `(chainId ${chainId})`);
 
   // ------------------------------------------------------------
-  // Load constructor parameters
+  // Compile (if needed)
   // ------------------------------------------------------------
-  const env = process.env;
-  function must(name, def) {
-    if (env[name]) return env[name];
-    if (def !== undefined) return def;
-    throw new Error(`Missing required env var: ${name}`);
-  }
+  await hre.run('compile');
 
-  const params = {
-    STABLE: must('STABLE'),
-    ATTESTORS: must('ATTESTORS'),
-    GUARDIAN: must('GUARDIAN'),
-    SOURCE_HASH: must('SOURCE_HASH'),
-    HOURS_TARGET: Number(must('HOURS_TARGET', 60)),
-    KG_TARGET: Number(must('KG_TARGET', 1500000)),
-    TRANCHE: BigInt(must('TRANCHE', 1000000000000000000n)), // 1e18 default
-    TIMELOCK_SECS: Number(must('TIMELOCK_SECS', 259200)), // 72h
-  };
+  // ------------------------------------------------------------
+  // Local stack: mock token + registry stand in for STABLE / ATTESTORS
+  // ------------------------------------------------------------
+  let mocks = null;
+  let localAccounts = null;
+  if (local) {
+    if (dryRun) throw new Error('--local-stack deploys mocks; it cannot be combined with --dry-run');
+    if (argValue('--key-file') || process.env.KEY_FILE) throw new Error('--local-stack uses the node\'s unlocked accounts; drop --key-file');
+    await localStack.assertLocalChain();
+    localAccounts = await localStack.localAccounts();
+    mocks = await localStack.deployMocks(localAccounts.guardian);
+  }
 
-  console.log('Constructor parameters:');
-  console.log(params);
+  // ------------------------------------------------------------
+  // Load & validate constructor parameters
+  // ------------------------------------------------------------
+  const resolved = await resolveParams(networkName, mocks ? {
+    forced: { stable: await mocks.stable.getAddress(), attestors: await mocks.registry.getAddress() },
+    defaults: localStack.localDefaults(localAccounts.guardian),
+  } : {});
+  const { params } = resolved;
+  printSummary(resolved);
 
   // ------------------------------------------------------------
-  // Compile (if needed)
+  // Dry run: calldata + gas estimate, nothing broadcast
   // ------------------------------------------------------------
-  await hre.run('compile');
+  if (dryRun) {
+    const Factory = await ethers.getContractFactory('AidAccessEscrowV2');
+    const args = constructorArgs(params);
+    const encodedArgs = Factory.interface.encodeDeploy(args);
+    const { data } = await Factory.getDeployTransaction(...args);
+    const [account] = await ethers.getSigners().catch(() => []);
+
+    console.log('----------------------------------------------------------');
+    console.log('[dry-run] constructor calldata (ABI-encoded args):');
+    console.log(encodedArgs);
+    console.log(`[dry-run] deploy tx data: ${(data.length - 2) / 2} bytes (bytecode + args)`);
+    try {
+      const gas = await ethers.provider.estimateGas({ data, ...(account ? { from: account.address } : {}) });
+      const fee = await ethers.provider.getFeeData();
+      const price = fee.maxFeePerGas || fee.gasPrice;
+      console.log('[dry-run] gas estimate:', gas.toString());
+      if (price) console.log(`[dry-run] est. cost: ${ethers.formatEther(gas * price)} native @ ${ethers.formatUnits(price, 'gwei')} gwei`);
+    } catch (err) {
+      console.log('[dry-run] gas estimate failed:', err.shortMessage || err.message);
+    }
+    console.log('----------------------------------------------------------');
+    console.log(' Dry run complete — nothing was broadcast.');
+    console.log('==========================================================');
+    return;
+  }
 
   // ------------------------------------------------------------
   // Deploy contract
   // ------------------------------------------------------------
-  const Factory = await hre.ethers.getContractFactory('AidAccessEscrowV2');
-  const contract = await Factory.deploy(
-    params.STABLE,
-    params.ATTESTORS,
-    params.GUARDIAN,
-    params.SOURCE_HASH,
-    params.HOURS_TARGET,
-    params.KG_TARGET,
-    params.TRANCHE,
-    params.TIMELOCK_SECS
-  );
-  await contract.waitForDeployment();
+  // The decrypted key (if any) is dropped once the deployment is mined
+  const { addr, deployerAddress, tx } = await withDeployer(async (deployer) => {
+    const deployerAddress = await deployer.getAddress();
+    console.log('[deployer]', deployerAddress);
+    console.log('[balance]', (await ethers.provider.getBalance(deployerAddress)).toString());
+
+    const Factory = await ethers.getContractFactory('AidAccessEscrowV2', deployer);
+    const contract = await Factory.deploy(...constructorArgs(params));
+    const deployTx = contract.deploymentTransaction();
+    console.log('[tx]', deployTx.hash);
+    const receipt = await deployTx.wait();
+    return {
+      addr: await contract.getAddress(),
+      deployerAddress,
+      tx: { hash: deployTx.hash, blockNumber: receipt.blockNumber, blockHash: receipt.blockHash, gasUsed: receipt.gasUsed },
+    };
+  });
 
-  const addr = await contract.getAddress();
   console.log('----------------------------------------------------------');
-  console.log('[deployed]', addr);
+  console.log('[deployed]', addr, `(block ${tx.blockNumber})`);
   console.log('----------------------------------------------------------');
 
+  // ------------------------------------------------------------
+  // Read back constructor values from the chain
+  // ------------------------------------------------------------
+  const deployed = await ethers.getContractAt('AidAccessEscrowV2', addr);
+  console.log('Read-back:');
+  const mismatches = await readBack(deployed, params);
+
+  let seeded = null;
+  if (local && !mismatches.length) {
+    const escrow = await ethers.getContractAt('AidAccessEscrowV2', addr, localAccounts.guardian);
+    seeded = await localStack.seed({ escrow, stable: mocks.stable, registry: mocks.registry, accounts: localAccounts });
+  }
+
   // ------------------------------------------------------------
   // Write deployment artifact
   // ------------------------------------------------------------
@@ -110,22 +397,49 @@ async function main() {
     contract: 'AidAccessEscrowV2',
     address: addr,
     network: networkName,
+    chainId: chainId.toString(),
     deployedAt: new Date().toISOString(),
-    deployer: deployer.address,
-    parameters: params,
+    deployer: deployerAddress,
+    txHash: tx.hash,
+    blockNumber: tx.blockNumber,
+    blockHash: tx.blockHash,
+    gasUsed: tx.gasUsed.toString(),
+    readBack: mismatches.length ? { ok: false, mismatches } : { ok: true },
+    config: resolved.configFile ? path.relative(path.join(__dirname, '..'), resolved.configFile) : null,
+    stable: { symbol: resolved.stableMeta.symbol, decimals: resolved.stableMeta.decimals },
+    parameters: plain(params),
   };
+  if (seeded) {
+    // RPC URL only for local chains: remote URLs often embed API keys
+    metadata.rpcUrl = hre.network.config.url || 'http://127.0.0.1:8545';
+    metadata.localStack = plain(seeded);
+  }
+  console.log('[history]', appendHistory(outDir, networkName, metadata));
+
+  // A contract that does not hold the intended parameters must not become "latest"
+  if (mismatches.length) {
+    throw new Error(
+      `Deployed contract ${addr} does not hold the intended parameters:\n` +
+        mismatches.map((m) => `  - ${m.getter}(): expected ${m.expected}, got ${m.actual}`).join('\n') +
+        `\nRecorded in history only; ${outFile} was not updated. Do not use this deployment.`
+    );
+  }
   fs.writeFileSync(outFile, JSON.stringify(metadata, null, 2));
   console.log('[saved]', outFile);
 
   // ------------------------------------------------------------
   // Optional: verification command hint
   // ------------------------------------------------------------
-  console.log('To verify on Etherscan (if supported):');
-  console.log(
-    `  npx hardhat verify --network ${networkName} ${addr} ` +
-      `${params.STABLE} ${params.ATTESTORS} ${params.GUARDIAN} ${params.SOURCE_HASH} ` +
-      `${params.HOURS_TARGET} ${params.KG_TARGET} ${params.TRANCHE} ${params.TIMELOCK_SECS}`
-  );
+  if (local) {
+    console.log('Dashboard: open dashboard/index.html and load', path.relative(path.join(__dirname, '..'), outFile));
+    console.log(`           or open dashboard/index.html?network=${networkName}&contract=${addr}`);
+  } else {
+    console.log('To verify on Etherscan (if supported):');
+    console.log(
+      `  npx hardhat verify --network ${networkName} ${addr} ` +
+        constructorArgs(params).join(' ')
+    );
+  }
 
   console.log('==========================================================');
   console.log(' Deployment complete.');
@@ -133,6 +447,6 @@ async function main() {
 }
 
 main().catch((err) => {
-  console.error('[error]', err);
+  console.error('[error]', err.message || err);
   process.exit(1);
 });
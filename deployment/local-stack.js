@@ -0,0 +1,151 @@
+/**
+ * ============================================================
+ * deployment/local-stack.js
+ * Aid Access Escrow V2 — Local mock stack (used by deploy.js --local-stack)
+ * ------------------------------------------------------------
+ * • Deploys MockStable (mintable, 6 decimals like USDC) and
+ *   MockAttestorRegistry (owner-managed isAttestor allowlist)
+ * • Supplies local defaults for the escrow's constructor parameters
+ * • Seeds the deployed escrow with donors, deposits, operators,
+ *   attestors and three periods (paid, ready, in progress)
+ *
+ * Only runs on a local chain (Hardhat / Anvil, chainId 31337 or 1337).
+ * Hardhat accounts used:
+ *   #0 guardian/deployer  #1–#2 attestors  #3–#4 operators  #5–#6 donors
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const hre = require('hardhat');
+const { labelPeriodId } = require('../scripts/lib/period');
+
+const { ethers } = hre;
+
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+async function assertLocalChain() {
+  const { chainId } = await ethers.provider.getNetwork();
+  if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error(`--local-stack only runs on a local chain (31337 / 1337), not chainId ${chainId}`);
+  }
+}
+
+async function localAccounts() {
+  const signers = await ethers.getSigners();
+  if (signers.length < 7) throw new Error(`--local-stack needs 7 unlocked accounts, node has ${signers.length}`);
+  const [guardian, attestor1, attestor2, operator1, operator2, donor1, donor2] = signers;
+  return { guardian, attestors: [attestor1, attestor2], operators: [operator1, operator2], donors: [donor1, donor2] };
+}
+
+/** Deploy the mock token and registry. Returns { stable, registry } contracts. */
+async function deployMocks(deployer) {
+  const stable = await (await ethers.getContractFactory('MockStable', deployer)).deploy('Mock USD Coin', 'mUSDC', 6);
+  const registry = await (await ethers.getContractFactory('MockAttestorRegistry', deployer)).deploy();
+  await Promise.all([stable.waitForDeployment(), registry.waitForDeployment()]);
+  console.log('[local] MockStable:', await stable.getAddress());
+  console.log('[local] MockAttestorRegistry:', await registry.getAddress());
+  return { stable, registry };
+}
+
+/** Constructor defaults for the local stack (config file / env still win). */
+function localDefaults(guardian) {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'contracts', 'AidAccessEscrowV2.sol'));
+  return {
+    guardian: guardian.address,
+    sourceHash: '0x' + crypto.createHash('sha256').update(source).digest('hex'),
+    tranche: '1000',
+    timelockSecs: 600, // 10 min, so the dashboard countdown can be watched
+  };
+}
+
+function dayLabel(daysAgo) {
+  return new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+}
+
+// Readable stand-in for a field report: what an attestor would hash into metaHash
+function sampleMetaHash(report) {
+  return '0x' + crypto.createHash('sha256').update(JSON.stringify(report)).digest('hex');
+}
+
+/**
+ * Seed the escrow. Returns the summary written to the deployment file.
+ * Period values are relative to the escrow's own targets, so seeding works
+ * with any configured hoursTarget / kgTarget.
+ */
+async function seed({ escrow, stable, registry, accounts }) {
+  const { guardian, attestors, operators, donors } = accounts;
+  const decimals = Number(await stable.decimals());
+  const units = (n) => ethers.parseUnits(String(n), decimals);
+  const [hoursTarget, kgTarget, tranche, escrowGuardian] = await Promise.all([
+    escrow.hoursTarget(),
+    escrow.kgTarget(),
+    escrow.tranche(),
+    escrow.guardianMultisig(),
+  ]);
+  const escrowAddr = await escrow.getAddress();
+  const wait = async (txPromise) => (await txPromise).wait();
+
+  // Donors: mint, approve, deposit (enough for several tranches)
+  const deposits = [];
+  for (const [i, donor] of donors.entries()) {
+    const amount = tranche * BigInt(3 - i) + units(250 * (i + 1));
+    await wait(stable.mint(donor.address, amount * 2n));
+    await wait(stable.connect(donor).approve(escrowAddr, amount));
+    await wait(escrow.connect(donor).deposit(amount));
+    deposits.push({ donor: donor.address, amount: amount.toString() });
+  }
+  console.log(`[local] ${deposits.length} deposits`);
+
+  // Attestors live in the registry (owned by the deployer)
+  for (const a of attestors) await wait(registry.setAttestor(a.address, true));
+  console.log(`[local] ${attestors.length} attestors registered`);
+
+  // Operators are set by the guardian; skipped if the guardian is not a local account
+  const guardianIsLocal = ethers.getAddress(escrowGuardian) === guardian.address;
+  if (guardianIsLocal) {
+    for (const op of operators) await wait(escrow.connect(guardian).setOperator(op.address, true));
+    console.log(`[local] ${operators.length} operators allowed`);
+  } else {
+    console.log(`[local] guardian ${escrowGuardian} is not a local account: operators and disbursements skipped`);
+  }
+
+  // Periods: one paid, one ready to disburse, one still short of its targets
+  const plan = [
+    { label: dayLabel(3), share: [60, 50], pay: true },
+    { label: dayLabel(2), share: [70, 40], pay: false },
+    { label: dayLabel(1), share: [30, 10], pay: false },
+  ];
+  const periods = [];
+  for (const p of plan) {
+    const id = labelPeriodId(p.label);
+    for (const [i, attestor] of attestors.entries()) {
+      const hours = (hoursTarget * BigInt(p.share[i])) / 100n || 1n;
+      const kg = (kgTarget * BigInt(p.share[i])) / 100n || 1n;
+      for (const [kind, value] of [[1, hours], [2, kg]]) {
+        const meta = sampleMetaHash({ period: p.label, kind, value: value.toString(), attestor: attestor.address });
+        await wait(escrow.connect(attestor).attest(id, kind, value, meta));
+      }
+    }
+    if (p.pay && guardianIsLocal) await wait(escrow.connect(operators[0]).disburse(id, operators[0].address));
+    const [corridorHours, kgDelivered, paid] = await escrow.getPeriod(id);
+    periods.push({ label: p.label, id, corridorHours: corridorHours.toString(), kgDelivered: kgDelivered.toString(), paid });
+  }
+  console.log(`[local] ${periods.length} periods attested`);
+
+  return {
+    stable: { address: await stable.getAddress(), symbol: await stable.symbol(), decimals },
+    attestorRegistry: await registry.getAddress(),
+    accounts: {
+      guardian: guardian.address,
+      attestors: attestors.map((a) => a.address),
+      operators: operators.map((o) => o.address),
+      donors: donors.map((d) => d.address),
+    },
+    deposits,
+    periods,
+  };
+}
+
+module.exports = { assertLocalChain, localAccounts, deployMocks, localDefaults, seed };
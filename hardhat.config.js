@@ -0,0 +1,61 @@
+/**
+ * ============================================================
+ * hardhat.config.js
+ * Aid Access Escrow V2 — Hardhat configuration
+ * ------------------------------------------------------------
+ * • npm test            → hardhat test (test/*.test.js on the in-process network)
+ * • npm run node        → local JSON-RPC node on http://127.0.0.1:8545
+ * • npm run deploy:local → mock stack + seeded escrow on that node
+ *
+ * Compiles with the solc-js build from npm (devDependency `solc`), so
+ * tests need nothing beyond `npm install`: no compiler download.
+ *
+ * Remote networks are added when their RPC URL is set, e.g.
+ *   ARBITRUM_RPC_URL=https://… npx hardhat run deployment/deploy.js --network arbitrum
+ * Deployments sign with an encrypted key file (KEY_FILE, see deploy.js);
+ * no private keys are read from this file.
+ * ============================================================
+ */
+
+require('@nomicfoundation/hardhat-ethers');
+require('@nomicfoundation/hardhat-chai-matchers');
+const { subtask } = require('hardhat/config');
+const { TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD } = require('hardhat/builtin-tasks/task-names');
+
+const SOLC_VERSION = '0.8.24';
+
+subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async (args, hre, runSuper) => {
+  if (args.solcVersion !== SOLC_VERSION) return runSuper();
+  const solc = require('solc');
+  return {
+    compilerPath: require.resolve('solc/soljson.js'),
+    isSolcJs: true,
+    version: args.solcVersion,
+    longVersion: solc.version().replace(/\.Emscripten.*$/, ''),
+  };
+});
+
+// Hardhat network name → env var holding its RPC URL
+const REMOTE = {
+  mainnet: 'MAINNET_RPC_URL',
+  sepolia: 'SEPOLIA_RPC_URL',
+  arbitrum: 'ARBITRUM_RPC_URL',
+  arbitrumSepolia: 'ARBITRUM_SEPOLIA_RPC_URL',
+  base: 'BASE_RPC_URL',
+  optimism: 'OPTIMISM_RPC_URL',
+};
+
+const networks = {
+  localhost: { url: 'http://127.0.0.1:8545' },
+};
+for (const [name, envVar] of Object.entries(REMOTE)) {
+  if (process.env[envVar]) networks[name] = { url: process.env[envVar] };
+}
+
+module.exports = {
+  solidity: {
+    version: SOLC_VERSION,
+    settings: { optimizer: { enabled: true, runs: 200 } },
+  },
+  networks,
+};
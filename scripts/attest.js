@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * scripts/attest.js
+ * Aid Access Escrow V2 — Attestor Batch Submission
+ * ------------------------------------------------------------
+ * • Reads a field report (CSV or JSON): date label, corridor hours,
+ *   kg delivered and evidence files per row
+ * • Derives each row's periodId the same way as the dashboard
+ *   (scripts/lib/period.js; window mode follows periodWindow)
+ * • Hashes the evidence into metaHash (aid-evidence-v1, see
+ *   scripts/lib/evidence.js)
+ * • Pre-checks attestors.isAttestor(signer), disabled() and every call
+ *   (eth_call) before signing anything
+ * • Sends attest(periodId, kind, value, metaHash) with locally managed
+ *   nonces and appends every step to a JSONL receipt log; each
+ *   transaction is signed and logged with its hash before it is sent
+ * • A re-run skips attestations the receipt log shows as confirmed and
+ *   checks every logged hash on chain first, so a send that failed
+ *   ambiguously (timeout, dropped connection) is never attested twice
+ *
+ * Usage:
+ *   node scripts/attest.js --contract 0xEscrow --in report.csv --dry-run
+ *   node scripts/attest.js --contract 0xEscrow --in report.csv --key-file attestor-key.enc
+ *   node scripts/attest.js --contract 0xEscrow --in report.json --receipts ./receipts/week41.jsonl
+ *
+ * Report formats:
+ *   CSV   header row with date,hours,kg,evidence; evidence paths separated by ";"
+ *         2026-10-19,12,1500,photos/convoy-1.jpg;logs/gps-2026-10-19.csv
+ *   JSON  [ { "date": "2026-10-19", "hours": 12, "kg": 1500, "evidence": ["photos/convoy-1.jpg"] } ]
+ *   Evidence paths are relative to the report file. A zero or empty hours / kg
+ *   cell sends nothing for that kind. "period" may replace "date" (a label,
+ *   date-time or raw bytes32).
+ *
+ * Env:
+ *   RPC_URL=<https endpoint>
+ *   ATTESTOR_PRIVATE_KEY=<0x...>   (only without --key-file; discouraged)
+ *
+ * Exit codes:
+ *   0  every attestation confirmed or already on record
+ *   1  usage, input or pre-check error (nothing sent)
+ *   2  some attestations failed or are still pending; re-run to retry
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { ethers } = require('ethers');
+const { ESCROW_ABI } = require('./lib/escrow-abi');
+const { withSigner } = require('./lib/signer');
+const period = require('./lib/period');
+const evidence = require('./lib/evidence');
+
+const EXIT = { OK: 0, ERROR: 1, INCOMPLETE: 2 };
+const KINDS = { 1: 'hours', 2: 'kg' };
+const REGISTRY_ABI = ['function isAttestor(address who) view returns (bool)'];
+
+const argv = yargs(hideBin(process.argv))
+  .option('contract', { type: 'string', demandOption: true, describe: 'AidAccessEscrowV2 address' })
+  .option('in', { type: 'string', demandOption: true, describe: 'Field report (.csv or .json)' })
+  .option('receipts', { type: 'string', describe: 'JSONL receipt log (default: <report>.receipts.jsonl)' })
+  .option('key-file', { type: 'string', describe: 'Encrypted attestor key (encrypt-keys.js or keystore v3); passphrase is prompted' })
+  .option('dry-run', { type: 'boolean', default: false, describe: 'Hash and plan only; no key needed, nothing sent' })
+  .option('attestor', { type: 'string', describe: 'With --dry-run: address to run the attestor pre-checks for' })
+  .option('confirmations', { type: 'number', default: 1, describe: 'Blocks to wait for each receipt' })
+  .check((a) => {
+    if (a.attestor && !a.dryRun) throw new Error('--attestor is only used with --dry-run (the key decides otherwise)');
+    if (!Number.isInteger(a.confirmations) || a.confirmations < 1) throw new Error('--confirmations must be a positive integer');
+    return true;
+  })
+  .strict()
+  .help()
+  .argv;
+
+/* ------------------------------------------------------------
+ * Report parsing
+ * ----------------------------------------------------------*/
+// RFC 4180-ish: quoted fields, "" escapes, CRLF or LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some((f) => f.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f.trim() !== '')) rows.push(row);
+  if (quoted) throw new Error('CSV ends inside a quoted field');
+  return rows;
+}
+
+const COLUMNS = {
+  period: ['date', 'period', 'label'],
+  hours: ['hours', 'corridorhours', 'corridor_hours'],
+  kg: ['kg', 'kgdelivered', 'kg_delivered'],
+  evidence: ['evidence', 'files'],
+};
+
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('Report is empty');
+  const names = header.map((h) => h.trim().toLowerCase());
+  const index = {};
+  for (const [key, aliases] of Object.entries(COLUMNS)) index[key] = names.findIndex((n) => aliases.includes(n));
+  if (index.period < 0) throw new Error(`CSV header needs a date column (${COLUMNS.period.join(' / ')})`);
+  if (index.hours < 0 && index.kg < 0) throw new Error('CSV header needs an hours or kg column');
+  return rows.map((cells, i) => {
+    const cell = (key) => (index[key] >= 0 ? (cells[index[key]] || '').trim() : '');
+    return { line: i + 2, period: cell('period'), hours: cell('hours'), kg: cell('kg'), evidence: cell('evidence') };
+  });
+}
+
+function jsonRecords(text) {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed && parsed.rows;
+  if (!Array.isArray(rows)) throw new Error('JSON report must be an array of rows (or { "rows": [...] })');
+  return rows.map((r, i) => ({
+    line: i + 1,
+    period: String(r.date ?? r.period ?? r.label ?? '').trim(),
+    hours: String(r.hours ?? r.corridorHours ?? '').trim(),
+    kg: String(r.kg ?? r.kgDelivered ?? '').trim(),
+    evidence: r.evidence ?? [],
+  }));
+}
+
+function readReport(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.json$/i.test(file) ? jsonRecords(text) : csvRecords(text);
+}
+
+function parseValue(v, what, where) {
+  if (v === '') return 0n;
+  if (!/^\d+$/.test(v)) throw new Error(`${where}: ${what} must be a whole number, got "${v}"`);
+  return BigInt(v);
+}
+
+const sha256Hex = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+// Evidence paths (array or ";"-separated) → [{ name, path, sha256 }]
+function hashEvidence(list, baseDir, where) {
+  const paths = (Array.isArray(list) ? list : String(list).split(';')).map((p) => String(p).trim()).filter(Boolean);
+  return paths.map((p) => {
+    const abs = path.resolve(baseDir, p);
+    if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) throw new Error(`${where}: evidence file not found: ${p}`);
+    return { name: path.basename(abs), path: p, sha256: sha256Hex(fs.readFileSync(abs)) };
+  });
+}
+
+/* ------------------------------------------------------------
+ * Receipt log
+ * ----------------------------------------------------------*/
+// One attestation's identity across runs: same chain, escrow, period, kind, value and
+// evidence; `occurrence` tells identical rows in one report apart
+function attestationKey(chainId, escrow, a, occurrence) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'address', 'bytes32', 'uint8', 'uint256', 'bytes32', 'uint256'],
+      [chainId, escrow, a.periodId, a.kind, a.value, a.metaHash, occurrence]
+    )
+  );
+}
+
+// Latest record per key (the log is append-only)
+function readReceipts(file) {
+  const latest = new Map();
+  if (!fs.existsSync(file)) return latest;
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    let rec;
+    try { rec = JSON.parse(line); } catch { throw new Error(`${file}:${i + 1}: not valid JSON`); }
+    latest.set(rec.key, rec);
+  });
+  return latest;
+}
+
+function appendReceipt(file, record) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ ...record, at: new Date().toISOString() }) + '\n');
+}
+
+/* ------------------------------------------------------------
+ * Main
+ * ----------------------------------------------------------*/
+(async () => {
+  let exitCode = EXIT.OK;
+  try {
+    const rpc = process.env.RPC_URL;
+    if (!rpc) throw new Error('Missing RPC_URL env var');
+    const reportPath = path.resolve(argv.in);
+    const receiptsPath = path.resolve(argv.receipts || `${reportPath}.receipts.jsonl`);
+    const baseDir = path.dirname(reportPath);
+
+    const provider = new ethers.JsonRpcProvider(rpc);
+    const escrow = new ethers.Contract(argv.contract, ESCROW_ABI, provider);
+    const escrowAddr = await escrow.getAddress();
+    const [{ chainId }, disabled, window, registryAddr] = await Promise.all([
+      provider.getNetwork(),
+      escrow.disabled(),
+      escrow.periodWindow().catch(() => 0n), // deployments without windows take keyed periods
+      escrow.attestors(),
+    ]);
+    const openPeriod = window > 0n ? await escrow.currentPeriodId() : null;
+
+    // Rows → attestations (one per non-zero kind)
+    const attestations = [];
+    const seen = new Map();
+    for (const r of readReport(reportPath)) {
+      const where = `${path.basename(reportPath)} row ${r.line}`;
+      const resolved = period.resolvePeriod(r.period, window);
+      if (!resolved) throw new Error(`${where}: missing date`);
+      const files = hashEvidence(r.evidence, baseDir, where);
+      const metaHash = await evidence.metaHashOf(files, sha256Hex);
+      const values = { 1: parseValue(r.hours, 'hours', where), 2: parseValue(r.kg, 'kg', where) };
+      if (!files.length) console.log(`[attest] warning: ${where} has no evidence; metaHash will be 0`);
+      for (const kind of [1, 2]) {
+        if (values[kind] === 0n) continue;
+        const a = { line: r.line, label: resolved.label || r.period, periodId: resolved.id, kind, value: values[kind], metaHash, evidence: files };
+        const base = attestationKey(chainId, escrowAddr, a, 0);
+        seen.set(base, (seen.get(base) || 0) + 1);
+        a.key = seen.get(base) === 1 ? base : attestationKey(chainId, escrowAddr, a, seen.get(base) - 1);
+        attestations.push(a);
+      }
+    }
+    if (!attestations.length) throw new Error('Report has no non-zero hours or kg');
+
+    // Reconcile with the receipt log: confirmed and still-pending ones are skipped.
+    // Any record with a signed hash may have reached the chain, including 'failed' ones.
+    const receipts = readReceipts(receiptsPath);
+    const todo = [];
+    let skipped = 0;
+    let pending = 0;
+    for (const a of attestations) {
+      const rec = receipts.get(a.key);
+      if (rec && rec.txHash && (rec.status === 'submitted' || rec.status === 'failed')) {
+        const receipt = await provider.getTransactionReceipt(rec.txHash);
+        if (receipt && receipt.status === 1) {
+          appendReceipt(receiptsPath, { ...rec, status: 'confirmed', error: undefined, blockNumber: receipt.blockNumber });
+          rec.status = 'confirmed';
+        } else if (!receipt && (await provider.getTransaction(rec.txHash))) {
+          console.log(`[skip] row ${a.line} ${KINDS[a.kind]}: ${rec.txHash} still pending`);
+          pending++;
+          continue;
+        }
+      }
+      if (rec && rec.status === 'confirmed') {
+        skipped++;
+        continue;
+      }
+      todo.push(a);
+    }
+
+    console.log('==========================================================');
+    console.log(' Aid Access Escrow V2 — Attestations');
+    console.log('----------------------------------------------------------');
+    console.log(' Contract:     ', escrowAddr);
+    console.log(' Report:       ', reportPath);
+    console.log(' Receipt log:  ', receiptsPath);
+    console.log(' Period mode:  ', window > 0n ? `${window}s windows (open: ${openPeriod})` : 'keyed labels');
+    console.log(' Attestations: ', `${attestations.length} in report · ${skipped} already confirmed · ${pending} pending · ${todo.length} to send`);
+    console.log('==========================================================');
+    todo.forEach((a) =>
+      console.log(`#${a.line} ${a.label} ${KINDS[a.kind]}=${a.value} metaHash=${a.metaHash} (${a.evidence.length} file${a.evidence.length === 1 ? '' : 's'})`)
+    );
+
+    // Pre-checks shared by dry runs and real runs
+    if (disabled) throw new Error('Contract is disabled: attestations would revert');
+    const closed = window > 0n ? todo.filter((a) => a.periodId !== openPeriod) : [];
+    if (closed.length) {
+      throw new Error(`Window mode: rows ${[...new Set(closed.map((a) => a.line))].join(', ')} are not in the open window (${openPeriod})`);
+    }
+    const registry = new ethers.Contract(registryAddr, REGISTRY_ABI, provider);
+    const checkAttestor = async (addr) => {
+      if (!(await registry.isAttestor(addr))) throw new Error(`${addr} is not registered in the attestor registry ${registryAddr}`);
+      console.log('[check] attestor registered:', addr);
+    };
+
+    if (argv.dryRun) {
+      if (argv.attestor) await checkAttestor(ethers.getAddress(argv.attestor));
+      console.log('[dry-run] nothing sent');
+      process.exit(pending ? EXIT.INCOMPLETE : EXIT.OK);
+    }
+    if (!todo.length) {
+      console.log('[attest] nothing to send');
+      process.exit(pending ? EXIT.INCOMPLETE : EXIT.OK);
+    }
+
+    // Send with local nonces so a batch does not wait for each block
+    const sent = await withSigner({ keyFile: argv.keyFile, provider, envVar: 'ATTESTOR_PRIVATE_KEY' }, async (wallet) => {
+      const from = await wallet.getAddress();
+      await checkAttestor(from);
+      const writer = escrow.connect(wallet);
+      for (const a of todo) await writer.attest.staticCall(a.periodId, a.kind, a.value, a.metaHash);
+      console.log(`[check] ${todo.length} call(s) simulate OK`);
+
+      let nonce = await provider.getTransactionCount(from, 'pending');
+      const out = [];
+      for (const a of todo) {
+        const record = {
+          key: a.key, line: a.line, label: a.label, periodId: a.periodId, kind: a.kind,
+          value: a.value.toString(), metaHash: a.metaHash,
+          evidence: a.evidence.map(({ path: p, sha256 }) => ({ path: p, sha256 })),
+          contract: escrowAddr, chainId: chainId.toString(), from,
+        };
+        // Sign first and log the hash: whatever happens to the send, a re-run can find it
+        const unsigned = await writer.attest.populateTransaction(a.periodId, a.kind, a.value, a.metaHash, { nonce });
+        const signed = await wallet.signTransaction(await wallet.populateTransaction(unsigned));
+        const sent = { ...record, txHash: ethers.keccak256(signed), nonce };
+        appendReceipt(receiptsPath, { ...sent, status: 'submitted' });
+        try {
+          const tx = await provider.broadcastTransaction(signed);
+          console.log(`[sent] row ${a.line} ${KINDS[a.kind]} nonce ${nonce} → ${tx.hash}`);
+          out.push({ tx, record: sent });
+          nonce++;
+        } catch (err) {
+          const msg = err.shortMessage || err.message;
+          // A timeout or dropped connection can follow an accepted send: ask the node
+          // (raw call: getTransactionCount would answer from ethers' request cache)
+          const next = await provider.send('eth_getTransactionCount', [from, 'pending']).then(Number, () => null);
+          if (next === nonce) {
+            // Rejected: the nonce is still free. The hash stays logged in case the tx turns up later.
+            appendReceipt(receiptsPath, { ...sent, status: 'failed', error: msg });
+            console.error(`[fail] row ${a.line} ${KINDS[a.kind]}:`, msg);
+            exitCode = EXIT.INCOMPLETE;
+            continue;
+          }
+          // Possibly accepted (or the node cannot say): leave it 'submitted' for the next run to check
+          console.error(`[unknown] row ${a.line} ${KINDS[a.kind]} (${sent.txHash}): ${msg}; re-run to check it on chain`);
+          exitCode = EXIT.INCOMPLETE;
+          if (next === null) {
+            console.error('[attest] cannot read the account nonce; stopping so later rows do not reuse it');
+            break;
+          }
+          nonce = Math.max(next, nonce + 1);
+        }
+      }
+      return out;
+    });
+
+    for (const { tx, record } of sent) {
+      try {
+        const receipt = await tx.wait(argv.confirmations);
+        appendReceipt(receiptsPath, { ...record, status: 'confirmed', blockNumber: receipt.blockNumber });
+        console.log(`[confirmed] row ${record.line} ${KINDS[record.kind]} in block ${receipt.blockNumber}`);
+      } catch (err) {
+        appendReceipt(receiptsPath, { ...record, status: 'failed', error: err.shortMessage || err.message });
+        console.error(`[fail] row ${record.line} ${KINDS[record.kind]} (${record.txHash}):`, err.shortMessage || err.message);
+        exitCode = EXIT.INCOMPLETE;
+      }
+    }
+    if (pending) exitCode = EXIT.INCOMPLETE;
+    console.log(exitCode === EXIT.OK ? '[attest] done ✓' : '[attest] incomplete: re-run to retry failed or pending rows');
+    process.exit(exitCode);
+  } catch (err) {
+    console.error('[error]', err.shortMessage || err.message || err);
+    process.exit(EXIT.ERROR);
+  }
+})();
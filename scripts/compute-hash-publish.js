@@ -5,22 +5,42 @@
  * Aid Access Escrow V2 — Hash & (optional) On-Chain Publish
  * ------------------------------------------------------------
  * • Computes SHA-256 for a given FILE (e.g., moduleA-package.zip)
+ * • Or a deterministic tree hash for a release DIRECTORY (--dir)
  * • Prints hex hash and bytes32-ready 0x… form
  * • Optional: writes a manifest JSON file with timestamp + metadata
+ *   (schema aid-access-escrow.v2; for --dir: every file's path, size and
+ *   SHA-256; guardians sign it with scripts/release-manifest.js)
+ * • Optional: diffs a directory against an earlier manifest, file by file
  * • Optional: publishes hash to contract.setSourceHash(bytes32)
+ * • Optional: verifies a file, directory or manifest against the on-chain
+ *   sourceHash (--verify), with CI-friendly exit codes
  *
  * Usage:
  *   node scripts/compute-hash-publish.js --file ./dist/moduleA.zip
  *   node scripts/compute-hash-publish.js --file ./dist/moduleA.zip --manifest ./dist/hash-manifest.json
- *   node scripts/compute-hash-publish.js --file ./dist/moduleA.zip --publish --contract 0xYourContract --abi ./artifacts/AidAccessEscrowV2.json
+ *   node scripts/compute-hash-publish.js --dir ./release --ignore "*.log" --ignore ".git" --manifest ./hash-manifest.json
+ *   node scripts/compute-hash-publish.js --dir ./release --diff ./hash-manifest.json
+ *   node scripts/compute-hash-publish.js --file ./dist/moduleA.zip --publish --contract 0xYourContract --abi ./artifacts/AidAccessEscrowV2.json --key-file ./guardian-key.pem.enc
+ *   node scripts/compute-hash-publish.js --dir ./release --verify --contract 0xYourContract --from-block 12345678
+ *   node scripts/compute-hash-publish.js --from-manifest ./hash-manifest.json --verify --contract 0xYourContract
  *
  * Env (for --publish):
  *   RPC_URL=<https endpoint or ws>
- *   GUARDIAN_PRIVATE_KEY=<0x...>
+ *   GUARDIAN_PRIVATE_KEY=<0x...>   (only without --key-file; discouraged)
+ *
+ * Env (for --verify):
+ *   RPC_URL=<https endpoint or ws>
+ *
+ * Exit codes:
+ *   0  success (--verify: local hash equals on-chain sourceHash)
+ *   1  usage or local error (missing file, bad manifest, …)
+ *   2  --verify mismatch (also when the local hash is an older, replaced sourceHash)
+ *   3  --verify could not read sourceHash from the chain
  *
  * Notes:
- *   • We hash a single file to keep determinism trivial. Create your zip/tar
- *     deterministically outside this script if hashing directories.
+ *   • --dir uses scheme sha256-tree-v1 (see scripts/lib/tree-hash.js): the
+ *     SHA-256 of a `sha256sum`-style listing of every file, sorted by path.
+ *     Timestamps and permissions do not affect it; no zip step is needed.
  *   • setSourceHash(bytes32) is guarded; ensure you run with guardian key.
  * ============================================================
  */
@@ -28,6 +48,9 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const treeHash = require('./lib/tree-hash');
+
+const EXIT = { MATCH: 0, ERROR: 1, MISMATCH: 2, READ_ERROR: 3 };
 
 const hasEthers = (() => {
   try { require.resolve('ethers'); return true; } catch { return false; }
@@ -37,12 +60,29 @@ const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
 const argv = yargs(hideBin(process.argv))
-  .option('file', { type: 'string', demandOption: true, describe: 'Path to file to hash (e.g., ./dist/moduleA.zip)' })
+  .option('file', { type: 'string', describe: 'Path to file to hash (e.g., ./dist/moduleA.zip)' })
+  .option('dir', { type: 'string', describe: 'Path to release directory to tree-hash (sha256-tree-v1)' })
+  .option('ignore', { type: 'string', array: true, default: [], describe: 'Glob to exclude with --dir (repeatable, e.g. "*.log", ".git")' })
   .option('manifest', { type: 'string', describe: 'Optional path to write a JSON manifest of the computed hash' })
+  .option('diff', { type: 'string', describe: 'With --dir: earlier manifest to compare file by file' })
+  .option('from-manifest', { type: 'string', describe: 'With --verify: take the local hash from an existing manifest' })
+  .option('verify', { type: 'boolean', default: false, describe: 'Compare the local hash with sourceHash() on --contract (exit 0/2/3)' })
+  .option('from-block', { type: 'string', default: '0', describe: 'With --verify: first block to scan for SourceHashSet history' })
   .option('publish', { type: 'boolean', default: false, describe: 'If true, call setSourceHash(bytes32) on the contract' })
   .option('contract', { type: 'string', describe: 'Contract address (required when --publish)' })
+  .option('key-file', { type: 'string', describe: 'With --publish: encrypted guardian key (encrypt-keys.js or keystore v3); passphrase is prompted' })
   .option('abi', { type: 'string', describe: 'Path to ABI JSON with setSourceHash(bytes32); if omitted, uses a minimal inline ABI' })
   .option('networkTag', { type: 'string', default: '', describe: 'Optional label saved into manifest (e.g., arbitrum, base, mainnet)' })
+  .check((a) => {
+    if ([a.file, a.dir, a.fromManifest].filter(Boolean).length !== 1) {
+      throw new Error('Specify exactly one: --file, --dir or --from-manifest');
+    }
+    if (a.diff && !a.dir) throw new Error('--diff requires --dir');
+    if (a.fromManifest && !a.verify) throw new Error('--from-manifest is only used with --verify');
+    if (a.verify && a.publish) throw new Error('Use --verify or --publish, not both');
+    if (a.verify && !a.contract) throw new Error('Missing --contract for verify');
+    return true;
+  })
   .strict()
   .help()
   .argv;
@@ -90,24 +130,21 @@ function loadABI(abiPath) {
   throw new Error('Unable to parse ABI: provide a flat ABI array or a Hardhat artifact JSON with .abi');
 }
 
-async function publishHash({ contractAddr, abi, bytes32Hash }) {
+async function publishHash({ contractAddr, abi, bytes32Hash, keyFile }) {
   if (!hasEthers) throw new Error('Ethers.js not installed. Run: npm i ethers');
   const { ethers } = require('ethers');
+  const { withSigner } = require('./lib/signer');
 
   const rpc = process.env.RPC_URL;
-  const pk  = process.env.GUARDIAN_PRIVATE_KEY;
-
   if (!rpc) throw new Error('Missing RPC_URL env var');
-  if (!pk)  throw new Error('Missing GUARDIAN_PRIVATE_KEY env var');
-
   const provider = new ethers.JsonRpcProvider(rpc);
-  const wallet   = new ethers.Wallet(pk, provider);
-  const contract = new ethers.Contract(contractAddr, abi, wallet);
-
-  console.log('[publish] Connected as:', await wallet.getAddress());
-  console.log('[publish] Contract:', contractAddr);
 
-  const tx = await contract.setSourceHash(bytes32Hash);
+  // The key lives only for the duration of the signing callback
+  const tx = await withSigner({ keyFile, provider }, async (wallet) => {
+    console.log('[publish] Connected as:', await wallet.getAddress());
+    console.log('[publish] Contract:', contractAddr);
+    return new ethers.Contract(contractAddr, abi, wallet).setSourceHash(bytes32Hash);
+  });
   console.log('[publish] Submitted tx:', tx.hash);
   const receipt = await tx.wait();
   console.log('[publish] Confirmed in block:', receipt.blockNumber);
@@ -115,24 +152,97 @@ async function publishHash({ contractAddr, abi, bytes32Hash }) {
   return { txHash: tx.hash, blockNumber: receipt.blockNumber };
 }
 
+// Local hash recorded in a manifest; directory manifests must agree with their own file list
+function hashFromManifest(manifestPath) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const hex = String(manifest.sha256Hex || manifest.sha256Bytes32 || '').replace(/^0x/, '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hex)) throw new Error(`Manifest has no sha256Hex: ${manifestPath}`);
+  if (Array.isArray(manifest.files) && treeHash.treeHashOf(manifest.files) !== hex) {
+    throw new Error(`Manifest file list does not produce its sha256Hex: ${manifestPath}`);
+  }
+  return hex;
+}
+
+/**
+ * Compare bytes32Hash with the contract's sourceHash(). On mismatch, walk
+ * SourceHashSet events to tell "never published" from "published, then replaced".
+ * Returns an EXIT code.
+ */
+async function verifyOnChain({ contractAddr, bytes32Hash, fromBlock }) {
+  if (!hasEthers) throw new Error('Ethers.js not installed. Run: npm i ethers');
+  const { ethers } = require('ethers');
+  const { ESCROW_ABI } = require('./lib/escrow-abi');
+  const { scanLogs, parseBlock } = require('./lib/logs');
+
+  const rpc = process.env.RPC_URL;
+  if (!rpc) throw new Error('Missing RPC_URL env var');
+
+  const provider = new ethers.JsonRpcProvider(rpc);
+  const contract = new ethers.Contract(contractAddr, ESCROW_ABI, provider);
+
+  let onchain;
+  try {
+    onchain = (await contract.sourceHash()).toLowerCase();
+  } catch (err) {
+    console.error('[verify] READ ERROR: could not read sourceHash():', err.shortMessage || err.message);
+    return EXIT.READ_ERROR;
+  }
+
+  console.log('[verify] Contract:', contractAddr);
+  console.log('[verify] On-chain:', onchain);
+  console.log('[verify] Local:   ', bytes32Hash);
+
+  if (onchain === bytes32Hash) {
+    console.log('[verify] MATCH ✓');
+    return EXIT.MATCH;
+  }
+
+  // Mismatch: was this build ever the published hash?
+  try {
+    const latest = await provider.getBlockNumber();
+    const logs = await scanLogs(contract, contract.filters.SourceHashSet(), parseBlock(fromBlock, 0), latest);
+    const idx = logs.findIndex((l) => l.args.newHash.toLowerCase() === bytes32Hash);
+    if (idx >= 0) {
+      const set = logs[idx];
+      const replaced = logs.slice(idx + 1).find((l) => l.args.newHash.toLowerCase() !== bytes32Hash);
+      console.log(`[verify] MISMATCH: local hash is an OLDER sourceHash, set in block ${set.blockNumber} (tx ${set.transactionHash})`);
+      if (replaced) console.log(`[verify]   replaced in block ${replaced.blockNumber} by ${replaced.args.newHash} (tx ${replaced.transactionHash})`);
+    } else {
+      console.log(`[verify] MISMATCH: local hash never appears in ${logs.length} SourceHashSet event(s) since block ${fromBlock}`);
+      console.log('[verify]   (the constructor hash emits no event; it can only match the current value)');
+    }
+  } catch (err) {
+    console.log('[verify] MISMATCH (SourceHashSet history unavailable:', (err.shortMessage || err.message) + ')');
+  }
+  return EXIT.MISMATCH;
+}
+
 /* ------------------------------------------------------------
  * Main
  * ----------------------------------------------------------*/
 (async () => {
   try {
-    const filePath = path.resolve(argv.file);
-    if (!fileExists(filePath)) {
-      throw new Error(`File not found or unreadable: ${filePath}`);
+    const targetPath = path.resolve(argv.file || argv.dir || argv.fromManifest);
+    if (!fileExists(targetPath)) {
+      throw new Error(`${argv.dir ? 'Directory' : 'File'} not found or unreadable: ${targetPath}`);
     }
 
-    // 1) Compute SHA-256
-    const hexHash = sha256FileSync(filePath);
+    // 1) Compute SHA-256 (single file, tree hash over a directory, or read from a manifest)
+    const tree = argv.dir ? treeHash.hashTree(targetPath, { ignore: argv.ignore }) : null;
+    const hexHash = tree ? tree.hex : argv.fromManifest ? hashFromManifest(targetPath) : sha256FileSync(targetPath);
     const bytes32Hash = to0xBytes32(hexHash);
 
     console.log('==========================================================');
     console.log(' Aid Access Escrow V2 — SHA-256 Computation');
     console.log('----------------------------------------------------------');
-    console.log(' File:        ', filePath);
+    if (tree) {
+      console.log(' Directory:   ', targetPath);
+      console.log(' Scheme:      ', tree.scheme);
+      console.log(' Files:       ', tree.files.length);
+      if (argv.ignore.length) console.log(' Ignored:     ', argv.ignore.join(', '));
+    } else {
+      console.log(argv.fromManifest ? ' Manifest:    ' : ' File:        ', targetPath);
+    }
     console.log(' SHA256 (hex):', hexHash);
     console.log(' bytes32:     ', bytes32Hash);
     console.log(' Timestamp:   ', nowISO());
@@ -142,27 +252,50 @@ async function publishHash({ contractAddr, abi, bytes32Hash }) {
     if (argv.manifest) {
       const manifestPath = path.resolve(argv.manifest);
       const manifest = {
-        schema: 'aid-access-escrow.v1',
+        schema: 'aid-access-escrow.v2',
         computedAt: nowISO(),
-        file: path.basename(filePath),
-        filePath: filePath,
+        ...(tree
+          ? { dir: path.basename(targetPath), dirPath: targetPath, scheme: tree.scheme, ignore: argv.ignore }
+          : { file: path.basename(targetPath), filePath: targetPath }),
         sha256Hex: hexHash,
         sha256Bytes32: bytes32Hash,
         networkTag: argv.networkTag || '',
-        notes: 'Use sha256sum locally to verify this build; compare bytes32 to on-chain sourceHash.'
+        notes: tree
+          ? 'Tree hash = sha256 of the sorted "<sha256>  <path>" listing of files; rerun with --dir … --diff <this manifest> to find a differing file.'
+          : 'Use sha256sum locally to verify this build; compare bytes32 to on-chain sourceHash.',
+        ...(tree ? { files: tree.files } : {}),
+        signatures: [], // add with scripts/release-manifest.js --sign
       };
       fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
       console.log('[manifest] wrote:', manifestPath);
     }
 
-    // 3) Optional on-chain publish
+    // 2b) Optional per-file diff against an earlier manifest
+    if (argv.diff) {
+      const previous = JSON.parse(fs.readFileSync(path.resolve(argv.diff), 'utf8'));
+      if (!Array.isArray(previous.files)) throw new Error(`Manifest has no per-file list: ${argv.diff}`);
+      const d = treeHash.diffFiles(previous.files, tree.files);
+      const same = previous.sha256Hex === hexHash;
+      console.log(`[diff] vs ${argv.diff}: ${same ? 'MATCH' : 'MISMATCH'}`);
+      d.changed.forEach((p) => console.log('  ~ changed:', p));
+      d.added.forEach((p) => console.log('  + added:  ', p));
+      d.removed.forEach((p) => console.log('  - removed:', p));
+    }
+
+    // 3) Optional on-chain verify (exits with a verify code)
+    if (argv.verify) {
+      process.exit(await verifyOnChain({ contractAddr: argv.contract, bytes32Hash, fromBlock: argv.fromBlock }));
+    }
+
+    // 4) Optional on-chain publish
     if (argv.publish) {
       if (!argv.contract) throw new Error('Missing --contract for publish');
       const abi = loadABI(argv.abi);
       const res = await publishHash({
         contractAddr: argv.contract,
         abi,
-        bytes32Hash
+        bytes32Hash,
+        keyFile: argv.keyFile
       });
       console.log('[publish] done:', res);
     } else {
@@ -173,6 +306,6 @@ async function publishHash({ contractAddr, abi, bytes32Hash }) {
     process.exit(0);
   } catch (err) {
     console.error('[error]', err.message || err);
-    process.exit(1);
+    process.exit(EXIT.ERROR);
   }
 })();
@@ -5,111 +5,229 @@
  * Guardian Key Encryption / Decryption Helper
  * ------------------------------------------------------------
  * • Encrypts a guardian private key file with AES-256-GCM
+ * • Key derived with scrypt (stored salt + cost parameters) behind a
+ *   versioned "AAEK" header — format in scripts/lib/keyfile.js
  * • Decrypts a previously encrypted file when --decrypt is passed
+ * • Re-encrypts legacy (sha256-password, headerless) files with --migrate
+ * • Converts to / from Ethereum keystore v3 JSON (loadable by ethers)
+ * • Splits a key into Shamir shares (e.g. 3-of-5), one encrypted file
+ *   per guardian, and combines them again — see scripts/lib/shamir.js
  * • Never overwrites originals unless --force is set
  *
  * Usage:
  *   node scripts/encrypt-keys.js --encrypt --in guardian-key.pem --out guardian-key.pem.enc
  *   node scripts/encrypt-keys.js --decrypt --in guardian-key.pem.enc --out guardian-key.pem
+ *   node scripts/encrypt-keys.js --migrate --in old-key.pem.enc --out guardian-key.pem.enc
+ *   node scripts/encrypt-keys.js --export-keystore --in guardian-key.pem.enc --out guardian-keystore.json
+ *   node scripts/encrypt-keys.js --import-keystore --in guardian-keystore.json --out guardian-key.pem.enc
+ *   node scripts/encrypt-keys.js --split --threshold 3 --shares 5 --in guardian-key.pem.enc --out shares/guardian-key
+ *   node scripts/encrypt-keys.js --combine --share a.share-1-of-5.enc --share b.share-4-of-5.enc --share c.share-5-of-5.enc
+ *   node scripts/encrypt-keys.js --combine --share … --out guardian-key.pem.enc
  *
  * Options:
  *   --password <string>      Supply passphrase directly (omit to be prompted)
+ *   --new-password <string>  Passphrase for the output of --migrate / keystore
+ *                            import or export (default: same as --password)
+ *   --share-password <str>   Passphrase per share, in share order (repeatable;
+ *                            omit to be prompted once per share)
  *   --force                  Overwrite output file if it exists
  *   --json                   Emit small JSON summary after operation
+ *
+ * Notes:
+ *   • Keystore import/export expects the key file to hold a 32-byte hex
+ *     private key (optionally 0x-prefixed) and needs ethers installed.
+ *   • --split writes <out>.share-<i>-of-<n>.enc; each share file is a normal
+ *     v2 key file holding the share, its index and checksums.
+ *   • --combine without --out only rebuilds and checks the key in memory
+ *     (prints the address); with --out it re-encrypts it as a v2 key file.
  * ============================================================
  */
 
 const fs = require('fs');
-const crypto = require('crypto');
-const readline = require('readline');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const keyfile = require('./lib/keyfile');
+const shamir = require('./lib/shamir');
+
+const ACTIONS = ['encrypt', 'decrypt', 'migrate', 'exportKeystore', 'importKeystore', 'split', 'combine'];
 
 const argv = yargs(hideBin(process.argv))
   .option('encrypt', { type: 'boolean', describe: 'Encrypt input file' })
   .option('decrypt', { type: 'boolean', describe: 'Decrypt input file' })
-  .option('in', { type: 'string', demandOption: true, describe: 'Input file path' })
-  .option('out', { type: 'string', demandOption: true, describe: 'Output file path' })
+  .option('migrate', { type: 'boolean', describe: 'Re-encrypt a legacy (or any) key file in the current format' })
+  .option('export-keystore', { type: 'boolean', describe: 'Write an Ethereum keystore v3 JSON from an encrypted key file' })
+  .option('import-keystore', { type: 'boolean', describe: 'Encrypt the key from an Ethereum keystore v3 JSON' })
+  .option('split', { type: 'boolean', describe: 'Split the key in an encrypted key file into Shamir shares' })
+  .option('combine', { type: 'boolean', describe: 'Rebuild a key from Shamir share files' })
+  .option('in', { type: 'string', describe: 'Input file path' })
+  .option('out', { type: 'string', describe: 'Output file path (--split: share file prefix)' })
+  .option('threshold', { type: 'number', default: 3, describe: 'With --split: shares needed to rebuild the key' })
+  .option('shares', { type: 'number', default: 5, describe: 'With --split: shares to create' })
+  .option('share', { type: 'string', array: true, default: [], describe: 'With --combine: share file (repeatable)' })
+  .option('share-password', { type: 'string', array: true, default: [], describe: 'Share passphrase, in share order (repeatable; discouraged)' })
   .option('password', { type: 'string', describe: 'Passphrase (discouraged to supply in plaintext)' })
+  .option('new-password', { type: 'string', describe: 'Passphrase for the output (migrate / keystore); default: same' })
   .option('force', { type: 'boolean', default: false, describe: 'Overwrite output file if it exists' })
   .option('json', { type: 'boolean', default: false, describe: 'Print JSON summary instead of text' })
   .check((a) => {
-    if (a.encrypt === a.decrypt) throw new Error('Specify exactly one: --encrypt or --decrypt');
+    if (ACTIONS.filter((k) => a[k]).length !== 1) {
+      throw new Error('Specify exactly one: --encrypt, --decrypt, --migrate, --export-keystore, --import-keystore, --split or --combine');
+    }
+    if (a.combine) {
+      if (!a.share.length) throw new Error('--combine needs --share <file> (repeatable)');
+    } else if (!a.in || !a.out) {
+      throw new Error('Missing --in / --out');
+    }
     return true;
   })
   .help()
   .argv;
 
-/* ------------------------------------------------------------
- * Helper: prompt for passphrase without echo
- * ----------------------------------------------------------*/
-async function promptHidden(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    terminal: true,
-  });
-  return new Promise((resolve) => {
-    process.stdout.write(question);
-    process.stdin.setRawMode(true);
-    let pass = '';
-    process.stdin.on('data', (ch) => {
-      ch = ch.toString('utf8');
-      if (ch === '\n' || ch === '\r' || ch === '\u0004') {
-        process.stdout.write('\n');
-        process.stdin.setRawMode(false);
-        rl.close();
-        resolve(pass);
-      } else if (ch === '\u0003') {
-        process.stdout.write('\n^C\n');
-        process.exit();
-      } else {
-        pass += ch;
-      }
-    });
-  });
-}
-
 /* ------------------------------------------------------------
  * Core encrypt/decrypt functions
  * ----------------------------------------------------------*/
-function encryptFile(inputPath, outPath, password, force) {
+function checkPaths(inputPath, outPath, force) {
   if (!fs.existsSync(inputPath)) throw new Error(`Input not found: ${inputPath}`);
   if (fs.existsSync(outPath) && !force) throw new Error(`Output exists: ${outPath}`);
+}
 
-  const iv = crypto.randomBytes(12);
-  const key = crypto.createHash('sha256').update(password).digest();
-  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+// Key material is written owner-read/write only
+function writeSecret(outPath, data) {
+  fs.writeFileSync(outPath, data, { mode: 0o600 });
+}
+
+function summary(buf) {
+  const h = keyfile.readHeader(buf);
+  return { version: h.version, kdf: h.kdf, ...(h.scrypt ? { scrypt: { N: 2 ** h.scrypt.logN, r: h.scrypt.r, p: h.scrypt.p } } : {}) };
+}
 
+function encryptFile(inputPath, outPath, password, force) {
+  checkPaths(inputPath, outPath, force);
   const plaintext = fs.readFileSync(inputPath);
-  const enc = Buffer.concat([cipher.update(plaintext), cipher.final()]);
-  const tag = cipher.getAuthTag();
+  const outBuf = keyfile.encrypt(plaintext, password);
+  writeSecret(outPath, outBuf);
+  return { ...summary(outBuf), bytes: plaintext.length };
+}
 
-  const outBuf = Buffer.concat([iv, tag, enc]);
-  fs.writeFileSync(outPath, outBuf);
+function decryptFile(inputPath, outPath, password, force) {
+  checkPaths(inputPath, outPath, force);
+  const { plaintext, version } = keyfile.decrypt(fs.readFileSync(inputPath), password);
+  writeSecret(outPath, plaintext);
+  return { version, bytes: plaintext.length };
+}
 
-  return { iv: iv.toString('hex'), tag: tag.toString('hex'), bytes: enc.length };
+function migrateFile(inputPath, outPath, password, newPassword, force) {
+  checkPaths(inputPath, outPath, force);
+  const { plaintext, version } = keyfile.decrypt(fs.readFileSync(inputPath), password);
+  const outBuf = keyfile.encrypt(plaintext, newPassword);
+  writeSecret(outPath, outBuf);
+  return { from: version, ...summary(outBuf), bytes: plaintext.length };
 }
 
-function decryptFile(inputPath, outPath, password, force) {
+function requireEthers() {
+  try {
+    return require('ethers').ethers;
+  } catch {
+    throw new Error('Ethers.js not installed. Run: npm i ethers');
+  }
+}
+
+async function exportKeystore(inputPath, outPath, password, newPassword, force) {
+  checkPaths(inputPath, outPath, force);
+  const { Wallet } = requireEthers();
+  const { plaintext } = keyfile.decrypt(fs.readFileSync(inputPath), password);
+  const wallet = new Wallet(keyfile.privateKeyFrom(plaintext));
+  writeSecret(outPath, await wallet.encrypt(newPassword));
+  return { address: wallet.address };
+}
+
+async function importKeystore(inputPath, outPath, password, newPassword, force) {
+  checkPaths(inputPath, outPath, force);
+  const { Wallet } = requireEthers();
+  const wallet = await Wallet.fromEncryptedJson(fs.readFileSync(inputPath, 'utf8'), password);
+  const outBuf = keyfile.encrypt(Buffer.from(wallet.privateKey + '\n', 'utf8'), newPassword);
+  writeSecret(outPath, outBuf);
+  return { address: wallet.address, ...summary(outBuf) };
+}
+
+/* ------------------------------------------------------------
+ * Shamir split / combine
+ * ----------------------------------------------------------*/
+async function sharePassword(i, label) {
+  const given = argv.sharePassword[i];
+  if (given) return given;
+  const pass = await keyfile.promptHidden(`Passphrase for ${label}: `);
+  if (!pass) throw new Error(`Empty passphrase for ${label}`);
+  return pass;
+}
+
+function shareFileName(prefix, share) {
+  return `${prefix}.share-${share.index}-of-${share.shares}.enc`;
+}
+
+async function splitFile(inputPath, outPrefix, password, { threshold, shares }, force) {
   if (!fs.existsSync(inputPath)) throw new Error(`Input not found: ${inputPath}`);
-  if (fs.existsSync(outPath) && !force) throw new Error(`Output exists: ${outPath}`);
+  const { plaintext } = keyfile.decrypt(fs.readFileSync(inputPath), password);
+  let parts;
+  try {
+    parts = shamir.split(plaintext, { threshold, shares });
+  } finally {
+    plaintext.fill(0);
+  }
 
-  const buf = fs.readFileSync(inputPath);
-  if (buf.length < 28) throw new Error('Corrupt encrypted file');
+  const files = parts.map((share) => shareFileName(outPrefix, share));
+  const existing = files.filter((f) => fs.existsSync(f));
+  if (existing.length && !force) throw new Error(`Output exists: ${existing.join(', ')}`);
 
-  const iv = buf.subarray(0, 12);
-  const tag = buf.subarray(12, 28);
-  const enc = buf.subarray(28);
+  for (let i = 0; i < parts.length; i++) {
+    const pass = await sharePassword(i, `share ${parts[i].index}/${parts[i].shares}`);
+    writeSecret(files[i], keyfile.encrypt(Buffer.from(JSON.stringify(parts[i]), 'utf8'), pass));
+  }
+  return { threshold, shares, setId: parts[0].setId, files };
+}
 
-  const key = crypto.createHash('sha256').update(password).digest();
-  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-  decipher.setAuthTag(tag);
+// Rebuild in memory; with outPath, re-encrypt it as a v2 key file
+async function combineFiles(sharePaths, outPath, newPassword, force) {
+  if (outPath && fs.existsSync(outPath) && !force) throw new Error(`Output exists: ${outPath}`);
 
-  const dec = Buffer.concat([decipher.update(enc), decipher.final()]);
-  fs.writeFileSync(outPath, dec);
+  const parts = [];
+  for (let i = 0; i < sharePaths.length; i++) {
+    const file = sharePaths[i];
+    if (!fs.existsSync(file)) throw new Error(`Share not found: ${file}`);
+    let plaintext;
+    try {
+      ({ plaintext } = keyfile.decrypt(fs.readFileSync(file), await sharePassword(i, file)));
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+    let obj;
+    try {
+      obj = JSON.parse(plaintext.toString('utf8'));
+    } catch {
+      throw new Error(`${file}: not a share file`);
+    }
+    parts.push(shamir.parseShare(obj, file));
+  }
 
-  return { iv: iv.toString('hex'), tag: tag.toString('hex'), bytes: dec.length };
+  const secret = shamir.combine(parts);
+  try {
+    const result = { threshold: parts[0].threshold, used: parts.map((p) => p.index), setId: parts[0].setId };
+    try {
+      result.address = new (requireEthers().Wallet)(keyfile.privateKeyFrom(secret)).address;
+    } catch {
+      // not a private key, or ethers missing: still a valid rebuild
+    }
+    if (outPath) {
+      const pass = newPassword || (await keyfile.promptHidden(`New passphrase for ${outPath}: `));
+      if (!pass) throw new Error('Empty passphrase');
+      const outBuf = keyfile.encrypt(secret, pass);
+      writeSecret(outPath, outBuf);
+      Object.assign(result, summary(outBuf), { out: outPath });
+    }
+    return result;
+  } finally {
+    secret.fill(0);
+  }
 }
 
 /* ------------------------------------------------------------
@@ -117,18 +235,46 @@ function decryptFile(inputPath, outPath, password, force) {
  * ----------------------------------------------------------*/
 (async () => {
   try {
-    let password = argv.password;
-    if (!password) password = await promptHidden('Enter passphrase: ');
+    const report = (action, result, text) => {
+      if (argv.json) console.log(JSON.stringify({ action, ...result }, null, 2));
+      else console.log(text);
+    };
 
     let result;
-    if (argv.encrypt) {
+    if (argv.combine) {
+      result = await combineFiles(argv.share, argv.out, argv.newPassword, argv.force);
+      const who = result.address ? `address ${result.address}` : 'key';
+      report('combine', result, argv.out
+        ? `[combine] rebuilt ${who} from shares ${result.used.join(', ')}; wrote ${argv.out} (v${result.version} ${result.kdf})`
+        : `[combine] rebuilt ${who} from shares ${result.used.join(', ')} (in memory only; pass --out to save)`);
+      return;
+    }
+
+    let password = argv.password;
+    if (!password) password = await keyfile.promptHidden('Enter passphrase: ');
+    const newPassword = argv.newPassword || password;
+
+    if (argv.split) {
+      result = await splitFile(argv.in, argv.out, password, { threshold: argv.threshold, shares: argv.shares }, argv.force);
+      report('split', result, `[split] wrote ${result.shares} shares (any ${result.threshold} rebuild the key):\n  ${result.files.join('\n  ')}`);
+    } else if (argv.encrypt) {
       result = encryptFile(argv.in, argv.out, password, argv.force);
-      if (argv.json) console.log(JSON.stringify({ action: 'encrypt', ...result }, null, 2));
-      else console.log(`[encrypt] wrote ${argv.out} (${result.bytes} bytes encrypted)`);
-    } else {
+      report('encrypt', result, `[encrypt] wrote ${argv.out} (${result.bytes} bytes encrypted, v${result.version} ${result.kdf})`);
+    } else if (argv.decrypt) {
       result = decryptFile(argv.in, argv.out, password, argv.force);
-      if (argv.json) console.log(JSON.stringify({ action: 'decrypt', ...result }, null, 2));
-      else console.log(`[decrypt] wrote ${argv.out} (${result.bytes} bytes decrypted)`);
+      report('decrypt', result, `[decrypt] wrote ${argv.out} (${result.bytes} bytes decrypted)`);
+      if (result.version === 1 && !argv.json) {
+        console.log('[decrypt] warning: legacy v1 file (sha256 password hash); re-encrypt with --migrate');
+      }
+    } else if (argv.migrate) {
+      result = migrateFile(argv.in, argv.out, password, newPassword, argv.force);
+      report('migrate', result, `[migrate] wrote ${argv.out} (v${result.from} → v${result.version} ${result.kdf})`);
+    } else if (argv.exportKeystore) {
+      result = await exportKeystore(argv.in, argv.out, password, newPassword, argv.force);
+      report('export-keystore', result, `[keystore] wrote ${argv.out} (address ${result.address})`);
+    } else {
+      result = await importKeystore(argv.in, argv.out, password, newPassword, argv.force);
+      report('import-keystore', result, `[keystore] wrote ${argv.out} (address ${result.address}, v${result.version} ${result.kdf})`);
     }
   } catch (err) {
     console.error('[error]', err.message || err);
@@ -0,0 +1,78 @@
+/**
+ * ============================================================
+ * scripts/lib/escrow-abi.js
+ * Aid Access Escrow V2 — Human-readable ABI for node scripts
+ * ------------------------------------------------------------
+ * • ESCROW_ABI: views, writes and every audit event of AidAccessEscrowV2
+ * • ERC20_ABI: the subset of the stable token the scripts read
+ * Keep in sync with contracts/AidAccessEscrowV2.sol and the inline
+ * ABI in dashboard/index.html.
+ * ============================================================
+ */
+
+const ESCROW_ABI = [
+  // Views
+  'function stable() view returns (address)',
+  'function attestors() view returns (address)',
+  'function guardianMultisig() view returns (address)',
+  'function sourceHash() view returns (bytes32)',
+  'function disabled() view returns (bool)',
+  'function disableRequestedAt() view returns (uint256)',
+  'function pendingAction() view returns (uint8)',
+  'function disableTimelock() view returns (uint256)',
+  'function hoursTarget() view returns (uint256)',
+  'function kgTarget() view returns (uint256)',
+  'function tranche() view returns (uint256)',
+  'function periodWindow() view returns (uint256)',
+  'function currentPeriodId() view returns (bytes32)',
+  'function periodIdAt(uint256 timestamp) view returns (bytes32)',
+  'function attestQuorum() view returns (uint256)',
+  'function operatorAllowlist(address) view returns (bool)',
+  'function periodMeetsTargets(bytes32 periodId) view returns (bool)',
+  'function pendingRecovery() view returns (address to, uint256 amount, uint256 requestedAt)',
+  'function getPeriod(bytes32 periodId) view returns (uint256 corridorHours, uint256 kgDelivered, bool paid, uint256 createdAt)',
+  'function quorumMet(bytes32 periodId) view returns (bool)',
+  'function getAttestors(bytes32 periodId, uint8 kind) view returns (address[])',
+  'function getContribution(bytes32 periodId, uint8 kind, address attestor) view returns (uint256 value, bytes32 metaHash, uint256 count, uint256 lastAt)',
+
+  // Writes
+  'function deposit(uint256 amount)',
+  'function attest(bytes32 periodId, uint8 kind, uint256 value, bytes32 metaHash)',
+  'function disburse(bytes32 periodId, address to)',
+  'function setSourceHash(bytes32 newHash)',
+  'function setAttestQuorum(uint256 quorum)',
+  'function setPeriodWindow(uint256 window)',
+  'function requestRecovery(address to, uint256 amount)',
+  'function executeRecovery()',
+  'function cancelRecovery()',
+
+  // Events
+  'event Deposit(address indexed from, uint256 amount)',
+  'event Attest(bytes32 indexed periodId, uint8 kind, uint256 value, bytes32 metaHash, address indexed attestor)',
+  'event OperatorSet(address indexed op, bool ok)',
+  'event Disburse(bytes32 indexed periodId, address indexed to, uint256 amount)',
+  'event SourceHashSet(bytes32 indexed newHash, address indexed setter)',
+  'event DisableRequested(address indexed by, uint256 when)',
+  'event DisableCancelled(address indexed by, uint256 when)',
+  'event Disabled(address indexed by, uint256 when)',
+  'event EnableRequested(address indexed by, uint256 when)',
+  'event EnableCancelled(address indexed by, uint256 when)',
+  'event Enabled(address indexed by, uint256 when)',
+  'event GuardianMultisigUpdated(address indexed oldAddr, address indexed newAddr)',
+  'event AttestQuorumSet(uint256 oldQuorum, uint256 newQuorum)',
+  'event PeriodWindowSet(uint256 oldWindow, uint256 newWindow)',
+  'event RecoveryRequested(address indexed to, uint256 amount, uint256 executableAt, address indexed by)',
+  'event RecoveryExecuted(address indexed to, uint256 amount, address indexed by)',
+  'event RecoveryCancelled(address indexed to, uint256 amount, address indexed by)',
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address who) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+
+module.exports = { ESCROW_ABI, ERC20_ABI };
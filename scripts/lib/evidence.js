@@ -0,0 +1,68 @@
+/**
+ * ============================================================
+ * scripts/lib/evidence.js
+ * Aid Access Escrow V2 — Evidence → metaHash (shared)
+ * ------------------------------------------------------------
+ * Scheme "aid-evidence-v1" for the metaHash of an attestation:
+ *   • one file:   SHA-256 of its contents, so `sha256sum photo.jpg`
+ *                 shows the same hex
+ *   • many files: SHA-256 of a `sha256sum`-style listing, one line per
+ *                 file, sorted by file name (UTF-8 byte order):
+ *                   <sha256 of contents>  <file name>\n
+ *                 (the sha256-tree-v1 listing, with bare file names)
+ *   • no files:   bytes32(0)
+ *
+ * Only file names count, not folders, so a donor holding the same
+ * files can rebuild the hash from anywhere, including the dashboard.
+ *
+ * Loaded by scripts (require) and by the dashboard (<script> tag →
+ * window.AASEvidence). Hashing itself is passed in: node crypto in
+ * scripts, Web Crypto in the browser.
+ * ============================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.AASEvidence = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SCHEME = 'aid-evidence-v1';
+  const ZERO = '0x' + '0'.repeat(64);
+  const utf8 = new TextEncoder();
+
+  function byteOrder(a, b) {
+    const x = utf8.encode(a);
+    const y = utf8.encode(b);
+    for (let i = 0; i < Math.min(x.length, y.length); i++) if (x[i] !== y[i]) return x[i] - y[i];
+    return x.length - y.length;
+  }
+
+  /** Sorted listing lines for [{ name, sha256 }]. Rejects repeated names. */
+  function listing(files) {
+    const names = new Set();
+    for (const f of files) {
+      if (!/^[0-9a-f]{64}$/.test(f.sha256)) throw new Error(`Evidence ${f.name}: sha256 must be 64 lowercase hex chars`);
+      if (/[\\/\n]/.test(f.name)) throw new Error(`Evidence name must be a bare file name: ${f.name}`);
+      if (names.has(f.name)) throw new Error(`Evidence file name used twice: ${f.name}`);
+      names.add(f.name);
+    }
+    return [...files]
+      .sort((a, b) => byteOrder(a.name, b.name))
+      .map((f) => `${f.sha256}  ${f.name}\n`)
+      .join('');
+  }
+
+  /**
+   * metaHash (0x-prefixed bytes32) for [{ name, sha256 }].
+   * `sha256Hex(bytes: Uint8Array)` returns hex, or a Promise of hex.
+   */
+  async function metaHashOf(files, sha256Hex) {
+    if (!files.length) return ZERO;
+    const text = listing(files);
+    if (files.length === 1) return '0x' + files[0].sha256;
+    return '0x' + (await sha256Hex(utf8.encode(text)));
+  }
+
+  return { SCHEME, ZERO, listing, metaHashOf };
+});
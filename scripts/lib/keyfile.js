@@ -0,0 +1,210 @@
+/**
+ * ============================================================
+ * scripts/lib/keyfile.js
+ * Aid Access Escrow V2 — Encrypted key-file format
+ * ------------------------------------------------------------
+ * Version 2 layout (all integers big-endian):
+ *   0   4   magic "AAEK"
+ *   4   1   format version (2)
+ *   5   1   KDF id (1 = scrypt)
+ *   6   1   scrypt log2(N)
+ *   7   1   scrypt r
+ *   8   1   scrypt p
+ *   9   16  salt
+ *   25  12  AES-256-GCM IV
+ *   37  16  GCM auth tag
+ *   53  …   ciphertext
+ * Bytes 0–36 are GCM additional data, so a tampered header fails
+ * to decrypt just like tampered ciphertext.
+ *
+ * Legacy (version 1) files are headerless `iv|tag|ciphertext` with
+ * key = sha256(password); they are still readable so --migrate can
+ * re-encrypt them.
+ *
+ * Also home to promptHidden(), the one passphrase prompt every script uses.
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const readline = require('readline');
+
+const MAGIC = Buffer.from('AAEK', 'ascii');
+const VERSION = 2;
+const KDF_SCRYPT = 1;
+const HEADER_LEN = 37;
+const TAG_LEN = 16;
+
+// scrypt N = 2^17, r = 8, p = 1 (same cost as ethers' keystore default)
+const DEFAULT_SCRYPT = { logN: 17, r: 8, p: 1 };
+
+// Accepted scrypt parameters. The header is only authenticated after the
+// key is derived, so a tampered header must not choose the KDF's cost
+// (logN 20, r 16 already needs 2 GiB).
+const SCRYPT_BOUNDS = { logN: [10, 20], r: [1, 16], p: [1, 4] };
+
+function scryptInBounds(params) {
+  const inRange = Object.entries(SCRYPT_BOUNDS).every(([k, [min, max]]) => Number.isInteger(params[k]) && params[k] >= min && params[k] <= max);
+  return inRange && params.logN < 16 * params.r; // scrypt requires N < 2^(128 * r / 8)
+}
+
+function scryptKey(password, salt, { logN, r, p }) {
+  const N = 2 ** logN;
+  return crypto.scryptSync(password, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+function isLegacy(buf) {
+  return !(buf.length >= MAGIC.length && buf.subarray(0, MAGIC.length).equals(MAGIC));
+}
+
+/** Parse the header of a v2 file (no password needed). */
+function readHeader(buf) {
+  if (isLegacy(buf)) return { version: 1, kdf: 'sha256' };
+  if (buf.length < HEADER_LEN + TAG_LEN) throw new Error('Corrupt encrypted file (truncated header)');
+  const version = buf[4];
+  if (version !== VERSION) throw new Error(`Unsupported key-file version ${version}`);
+  if (buf[5] !== KDF_SCRYPT) throw new Error(`Unsupported KDF id ${buf[5]}`);
+  const scrypt = { logN: buf[6], r: buf[7], p: buf[8] };
+  if (!scryptInBounds(scrypt)) throw new Error('Wrong passphrase or corrupted file');
+  return {
+    version,
+    kdf: 'scrypt',
+    scrypt,
+    salt: buf.subarray(9, 25),
+    iv: buf.subarray(25, 37),
+  };
+}
+
+/** Encrypt `plaintext` (Buffer) into a v2 key file (Buffer). */
+function encrypt(plaintext, password, scrypt = DEFAULT_SCRYPT) {
+  if (!scryptInBounds(scrypt)) throw new Error(`scrypt parameters out of range: ${JSON.stringify(SCRYPT_BOUNDS)}`);
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const header = Buffer.concat([
+    MAGIC,
+    Buffer.from([VERSION, KDF_SCRYPT, scrypt.logN, scrypt.r, scrypt.p]),
+    salt,
+    iv,
+  ]);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', scryptKey(password, salt, scrypt), iv);
+  cipher.setAAD(header);
+  const enc = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([header, cipher.getAuthTag(), enc]);
+}
+
+function decryptLegacy(buf, password) {
+  if (buf.length < 28) throw new Error('Corrupt encrypted file');
+  const key = crypto.createHash('sha256').update(password).digest();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, 12));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+/**
+ * Decrypt a v2 or legacy key file. Returns { plaintext, version }.
+ * A wrong password or any tampering (including out-of-range scrypt
+ * parameters in the header) throws "Wrong passphrase or corrupted file".
+ */
+function decrypt(buf, password) {
+  const header = readHeader(buf);
+  try {
+    if (header.version === 1) return { plaintext: decryptLegacy(buf, password), version: 1 };
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', scryptKey(password, header.salt, header.scrypt), header.iv);
+    decipher.setAAD(buf.subarray(0, HEADER_LEN));
+    decipher.setAuthTag(buf.subarray(HEADER_LEN, HEADER_LEN + TAG_LEN));
+    const plaintext = Buffer.concat([decipher.update(buf.subarray(HEADER_LEN + TAG_LEN)), decipher.final()]);
+    return { plaintext, version: header.version };
+  } catch (err) {
+    if (/auth|decrypt/i.test(err.message)) throw new Error('Wrong passphrase or corrupted file');
+    throw err;
+  }
+}
+
+/** Plaintext key file contents → 0x-prefixed 32-byte private key. */
+function privateKeyFrom(plaintext) {
+  const hex = plaintext.toString('utf8').trim().replace(/^0x/i, '');
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) throw new Error('Decrypted file is not a 32-byte hex private key');
+  return '0x' + hex.toLowerCase();
+}
+
+// Piped stdin: one reader for the whole process so several prompts can
+// each take the next line (a fresh interface would drop buffered lines)
+let piped = null;
+function nextPipedLine() {
+  if (!piped) {
+    piped = { lines: [], waiting: [], closed: false };
+    const rl = readline.createInterface({ input: process.stdin });
+    rl.on('line', (line) => {
+      const next = piped.waiting.shift();
+      if (next) next(line);
+      else piped.lines.push(line);
+      if (!piped.waiting.length) rl.pause();
+    });
+    rl.on('close', () => {
+      piped.closed = true;
+      piped.waiting.splice(0).forEach((next) => next(''));
+    });
+    piped.rl = rl;
+  }
+  if (piped.lines.length) return Promise.resolve(piped.lines.shift());
+  if (piped.closed) return Promise.resolve('');
+  return new Promise((resolve) => {
+    piped.waiting.push(resolve);
+    piped.rl.resume();
+  });
+}
+
+/**
+ * Read a passphrase without echoing it. Falls back to reading a line
+ * when stdin is not a terminal (e.g. piped in CI).
+ */
+function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    process.stderr.write(question);
+    return nextPipedLine().then((line) => {
+      process.stderr.write('\n');
+      return line;
+    });
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true,
+  });
+  return new Promise((resolve) => {
+    process.stdout.write(question);
+    process.stdin.setRawMode(true);
+    let pass = '';
+    const onData = (ch) => {
+      ch = ch.toString('utf8');
+      if (ch === '\n' || ch === '\r' || ch === '\u0004') {
+        process.stdout.write('\n');
+        process.stdin.setRawMode(false);
+        process.stdin.removeListener('data', onData);
+        rl.close();
+        resolve(pass);
+      } else if (ch === '\u0003') {
+        process.stdout.write('\n^C\n');
+        process.exit();
+      } else {
+        pass += ch;
+      }
+    };
+    process.stdin.on('data', onData);
+  });
+}
+
+module.exports = {
+  MAGIC,
+  VERSION,
+  DEFAULT_SCRYPT,
+  SCRYPT_BOUNDS,
+  isLegacy,
+  readHeader,
+  encrypt,
+  decrypt,
+  privateKeyFrom,
+  promptHidden,
+};
@@ -0,0 +1,54 @@
+/**
+ * ============================================================
+ * scripts/lib/logs.js
+ * Aid Access Escrow V2 — Chunked event log scanning (node)
+ * ------------------------------------------------------------
+ * • Queries contract events over large block ranges in chunks
+ * • Halves the chunk when the RPC rejects a range, then retries
+ * • Same behavior as the dashboard's scanLogs()
+ * ============================================================
+ */
+
+// Providers word block-range rejections differently; match the common ones.
+function isRangeError(e) {
+  const msg = String((e && e.error && e.error.message) || (e && e.message) || e);
+  return /range|limit|too many|exceed|more than|response size/i.test(msg);
+}
+
+/**
+ * Query `filter` ("*", an event name or a contract filter) on `contract`
+ * over [from, to]. Calls onChunk(logs, endBlock) after every chunk and
+ * returns all logs in block order.
+ */
+async function scanLogs(contract, filter, from, to, { chunk = 5000, onChunk } = {}) {
+  const all = [];
+  let start = from;
+  let size = chunk;
+  while (start <= to) {
+    const end = Math.min(start + size - 1, to);
+    let logs;
+    try {
+      logs = await contract.queryFilter(filter, start, end);
+    } catch (e) {
+      if (size > 1 && isRangeError(e)) {
+        size = Math.floor(size / 2);
+        continue;
+      }
+      throw e;
+    }
+    if (onChunk) await onChunk(logs, end);
+    all.push(...logs);
+    start = end + 1;
+  }
+  return all;
+}
+
+/** Parse a --from-block / --to-block value; empty means `fallback`. */
+function parseBlock(value, fallback) {
+  if (value === undefined || value === null || value === '' || value === 'latest') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid block number: ${value}`);
+  return n;
+}
+
+module.exports = { isRangeError, scanLogs, parseBlock };
@@ -0,0 +1,162 @@
+/**
+ * ============================================================
+ * scripts/lib/manifest.js
+ * Aid Access Escrow V2 — Release manifest schema & signatures (shared)
+ * ------------------------------------------------------------
+ * • aid-access-escrow.v1: plain hash manifest (compute-hash-publish.js)
+ * • aid-access-escrow.v2: same fields + `signatures` by guardian keys
+ *
+ * Each signature is an EIP-191 personal_sign over signingMessage(manifest),
+ * a short human-readable text so hardware wallets can show what is signed.
+ * The message covers the hash (which covers every file for directory
+ * manifests), the hashing scheme, the artifact name and the network tag.
+ * A directory manifest's `files` listing is only covered through that
+ * hash, so every function here rejects a manifest whose listing does not
+ * hash to its sha256Bytes32 (sha256-tree-v1, scripts/lib/tree-hash.js).
+ *
+ * Loaded by scripts (require) and by the dashboard (<script> tag →
+ * window.AASManifest). Needs ethers v6 in both.
+ * ============================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('ethers').ethers);
+  else root.AASManifest = factory(root.ethers);
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+  'use strict';
+
+  const SCHEMA_V1 = 'aid-access-escrow.v1';
+  const SCHEMA_V2 = 'aid-access-escrow.v2';
+
+  // Read-only Safe calls used to check signers against the guardian multisig
+  const SAFE_ABI = [
+    'function getOwners() view returns (address[])',
+    'function getThreshold() view returns (uint256)',
+  ];
+
+  const utf8 = new TextEncoder();
+
+  function byteOrder(a, b) {
+    const x = utf8.encode(a);
+    const y = utf8.encode(b);
+    for (let i = 0; i < Math.min(x.length, y.length); i++) if (x[i] !== y[i]) return x[i] - y[i];
+    return x.length - y.length;
+  }
+
+  /**
+   * True when the manifest has no `files` listing, or the listing hashes
+   * to sha256Bytes32 (same listing as tree-hash.js treeHashOf).
+   */
+  function filesMatch(manifest) {
+    if (!Array.isArray(manifest.files)) return true;
+    const listing = [...manifest.files]
+      .sort((a, b) => byteOrder(String(a.path), String(b.path)))
+      .map((f) => `${f.sha256}  ${f.path}\n`)
+      .join('');
+    return ethers.sha256(utf8.encode(listing)) === String(manifest.sha256Bytes32).toLowerCase();
+  }
+
+  function assertKnown(manifest) {
+    if (!manifest || (manifest.schema !== SCHEMA_V1 && manifest.schema !== SCHEMA_V2)) {
+      throw new Error(`Unknown manifest schema: ${manifest && manifest.schema}`);
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(manifest.sha256Bytes32 || '')) throw new Error('Manifest has no sha256Bytes32');
+    if (!filesMatch(manifest)) throw new Error('Manifest file list does not hash to its sha256Bytes32 (edited after hashing?)');
+  }
+
+  /** v1 → v2 (adds an empty signature list); v2 is returned unchanged. */
+  function upgrade(manifest) {
+    assertKnown(manifest);
+    if (manifest.schema === SCHEMA_V2) return manifest;
+    return { ...manifest, schema: SCHEMA_V2, signatures: [] };
+  }
+
+  /** Exact text every guardian signs with personal_sign. */
+  function signingMessage(manifest) {
+    assertKnown(manifest);
+    return [
+      'Aid Access Escrow release manifest',
+      `schema: ${SCHEMA_V2}`,
+      `sha256: ${manifest.sha256Bytes32.toLowerCase()}`,
+      `scheme: ${manifest.scheme || 'sha256-file'}`,
+      `artifact: ${manifest.dir || manifest.file || ''}`,
+      `network: ${manifest.networkTag || ''}`,
+      `computedAt: ${manifest.computedAt || ''}`,
+    ].join('\n');
+  }
+
+  /**
+   * Append (or replace) a signature. Throws if it does not recover to
+   * `expectedSigner` when one is given. Returns the updated v2 manifest.
+   */
+  function addSignature(manifest, signature, expectedSigner) {
+    const m = upgrade(manifest);
+    const signer = ethers.verifyMessage(signingMessage(m), signature);
+    if (expectedSigner && ethers.getAddress(expectedSigner) !== signer) {
+      throw new Error(`Signature recovers to ${signer}, not ${ethers.getAddress(expectedSigner)}`);
+    }
+    const others = (m.signatures || []).filter((s) => ethers.getAddress(s.signer) !== signer);
+    return { ...m, signatures: [...others, { signer, signature, signedAt: new Date().toISOString() }] };
+  }
+
+  /**
+   * Recover every signature. Returns [{ signer, recovered, valid, signedAt }],
+   * valid = the signature recovers to the address it claims.
+   */
+  function recoverSigners(manifest) {
+    assertKnown(manifest);
+    const message = signingMessage(manifest);
+    return (manifest.signatures || []).map((s) => {
+      let recovered = null;
+      try {
+        recovered = ethers.verifyMessage(message, s.signature);
+      } catch (_) {
+        // malformed signature → invalid
+      }
+      const claimed = ethers.isAddress(s.signer) ? ethers.getAddress(s.signer) : String(s.signer);
+      return { signer: claimed, recovered, valid: recovered !== null && recovered === claimed, signedAt: s.signedAt || '' };
+    });
+  }
+
+  /**
+   * Check recovered signers against an allow-list.
+   * Returns { approved: [addr], unknown: [addr], invalid: [addr], ok }
+   * with ok = approved.length >= threshold.
+   */
+  function checkSigners(manifest, expected, threshold) {
+    const allowed = new Set(expected.map((a) => ethers.getAddress(a)));
+    const results = recoverSigners(manifest);
+    const approved = [...new Set(results.filter((r) => r.valid && allowed.has(r.recovered)).map((r) => r.recovered))];
+    return {
+      results,
+      approved,
+      unknown: results.filter((r) => r.valid && !allowed.has(r.recovered)).map((r) => r.recovered),
+      invalid: results.filter((r) => !r.valid).map((r) => r.signer),
+      ok: approved.length >= threshold,
+    };
+  }
+
+  /** Owners and threshold of a Safe; null when `address` is not a Safe (e.g. an EOA guardian). */
+  async function safeOwners(address, provider) {
+    const safe = new ethers.Contract(address, SAFE_ABI, provider);
+    try {
+      const [owners, threshold] = await Promise.all([safe.getOwners(), safe.getThreshold()]);
+      return { owners: owners.map((o) => ethers.getAddress(o)), threshold: Number(threshold) };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  return {
+    SCHEMA_V1,
+    SCHEMA_V2,
+    SAFE_ABI,
+    filesMatch,
+    upgrade,
+    signingMessage,
+    addSignature,
+    recoverSigners,
+    checkSigners,
+    safeOwners,
+  };
+});
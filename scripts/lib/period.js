@@ -0,0 +1,145 @@
+/**
+ * ============================================================
+ * scripts/lib/period.js
+ * Aid Access Escrow V2 — Period IDs (shared)
+ * ------------------------------------------------------------
+ * The escrow keys periods by bytes32 in one of two modes:
+ *   • keyed  (periodWindow = 0): keccak256(abi.encodePacked(label)),
+ *     label as field staff write it, e.g. "2026-10-19" or "2025-W41"
+ *   • window (periodWindow > 0): keccak256(abi.encodePacked(
+ *     uint256 periodWindow, uint256 timestamp / periodWindow)),
+ *     the same key as the contract's periodIdAt / currentPeriodId
+ *
+ * resolvePeriod() turns user input into the key for the active mode so
+ * the dashboard and every script agree on the ID for a given date;
+ * guessLabel() goes the other way for display.
+ *
+ * Loaded by scripts (require) and by the dashboard (<script> tag →
+ * window.AASPeriod). Needs ethers v6 in both.
+ * ============================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('ethers').ethers);
+  else root.AASPeriod = factory(root.ethers);
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+  'use strict';
+
+  const BYTES32 = /^0x[0-9a-fA-F]{64}$/;
+  const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+  const DATE_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+  const UNIX = /^\d{9,11}$/;
+
+  /** Keyed mode: the label's keccak256. */
+  function labelPeriodId(label) {
+    return ethers.id(label);
+  }
+
+  /**
+   * Unix seconds for a Date, a number of seconds, a unix-seconds string,
+   * "YYYY-MM-DD" (UTC midnight) or an ISO date-time. Returns null for
+   * anything else (e.g. a week label).
+   */
+  function toSeconds(when) {
+    if (when instanceof Date) return Math.floor(when.getTime() / 1000);
+    if (typeof when === 'bigint') return Number(when);
+    if (typeof when === 'number') return Math.floor(when);
+    const v = String(when || '').trim();
+    if (UNIX.test(v)) return Number(v);
+    if (DATE_ONLY.test(v)) return Math.floor(Date.parse(`${v}T00:00:00Z`) / 1000);
+    if (DATE_TIME.test(v)) {
+      // A date-time without an offset is read as UTC, like the contract's clock
+      const ms = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/i.test(v) ? v : `${v.replace(' ', 'T')}Z`);
+      return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+    }
+    return null;
+  }
+
+  function assertWindow(window) {
+    const w = BigInt(window);
+    if (w <= 0n) throw new Error('Window mode needs a periodWindow > 0');
+    return w;
+  }
+
+  /** Index, start and end (exclusive), in seconds, of the window containing `when`. */
+  function windowBounds(when, window) {
+    const w = assertWindow(window);
+    const ts = toSeconds(when);
+    if (ts === null || ts < 0) throw new Error(`Not a date or timestamp: ${when}`);
+    const index = BigInt(ts) / w;
+    return { index, start: Number(index * w), end: Number((index + 1n) * w) };
+  }
+
+  /** Window mode: same key as the contract's periodIdAt(timestamp). */
+  function windowPeriodId(when, window) {
+    const { index } = windowBounds(when, window);
+    return ethers.solidityPackedKeccak256(['uint256', 'uint256'], [assertWindow(window), index]);
+  }
+
+  const iso = (secs) => new Date(secs * 1000).toISOString().replace('.000Z', 'Z');
+
+  /** Readable name for a window: the UTC day for whole days, else "start → end". */
+  function windowLabel(when, window) {
+    const { start, end } = windowBounds(when, window);
+    if (end - start === 86400) return iso(start).slice(0, 10);
+    return `${iso(start)} → ${iso(end)}`;
+  }
+
+  /**
+   * Period key for user input under the contract's current `window`
+   * (periodWindow; 0 = keyed mode). Raw bytes32 passes through.
+   * Returns { id, mode: 'raw' | 'label' | 'window', label, start?, end? } or null for empty input.
+   */
+  function resolvePeriod(input, window = 0) {
+    const v = typeof input === 'string' ? input.trim() : input;
+    if (v === '' || v == null) return null;
+    if (typeof v === 'string' && BYTES32.test(v)) return { id: v.toLowerCase(), mode: 'raw', label: null };
+    if (BigInt(window || 0) > 0n) {
+      const ts = toSeconds(v);
+      if (ts === null) throw new Error(`Window mode needs a date or timestamp, got "${v}" (or pass the raw bytes32)`);
+      const { start, end } = windowBounds(ts, window);
+      return { id: windowPeriodId(ts, window), mode: 'window', label: windowLabel(ts, window), start, end };
+    }
+    return { id: labelPeriodId(String(v)), mode: 'label', label: String(v) };
+  }
+
+  // ISO-8601 week label, e.g. "2025-W41"
+  function isoWeekLabel(d) {
+    const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    t.setUTCDate(t.getUTCDate() + 4 - (t.getUTCDay() || 7));
+    const week = Math.ceil(((t - Date.UTC(t.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+    return `${t.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * Readable label for a period key, or null. Keys only carry a hash, so
+   * this tries the window containing `createdAt` (window mode) and the
+   * usual date (YYYY-MM-DD), week (YYYY-Www) and month (YYYY-MM) labels
+   * within three days of it.
+   */
+  function guessLabel(pid, createdAt, window = 0) {
+    if (!createdAt) return null;
+    if (BigInt(window || 0) > 0n && windowPeriodId(createdAt, window) === pid) return windowLabel(createdAt, window);
+    const base = Number(createdAt) * 1000;
+    const candidates = new Set();
+    for (let day = -3; day <= 3; day++) {
+      const d = new Date(base + day * 86400000);
+      const stamp = d.toISOString();
+      candidates.add(stamp.slice(0, 10));
+      candidates.add(stamp.slice(0, 7));
+      candidates.add(isoWeekLabel(d));
+    }
+    for (const label of candidates) if (labelPeriodId(label) === pid) return label;
+    return null;
+  }
+
+  return {
+    labelPeriodId,
+    toSeconds,
+    windowBounds,
+    windowPeriodId,
+    windowLabel,
+    resolvePeriod,
+    guessLabel,
+  };
+});
@@ -0,0 +1,326 @@
+/**
+ * ============================================================
+ * scripts/lib/safe-batch.js
+ * Aid Access Escrow V2 — Guardian Safe Batch Helpers (shared)
+ * ------------------------------------------------------------
+ * • Encodes guardian-only calls from the ABI (calldata + Safe metadata)
+ * • Describes what each call will change vs. current on-chain state,
+ *   carrying earlier calls' effects through a batch (describeBatch)
+ * • Wraps calls into Safe Transaction Builder batch JSON
+ *
+ * Loaded by scripts/safe-batch.js (require) and by the dashboard
+ * (<script> tag → window.AASSafeBatch). Needs ethers v6 in both.
+ * ============================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('ethers').ethers);
+  else root.AASSafeBatch = factory(root.ethers);
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+  'use strict';
+
+  // Guardian-only writes plus the reads needed to diff them
+  const GUARDIAN_ABI = [
+    'function setOperator(address op, bool ok)',
+    'function setSourceHash(bytes32 newHash)',
+    'function setAttestQuorum(uint256 quorum)',
+    'function setPeriodWindow(uint256 window)',
+    'function requestDisable()',
+    'function cancelDisable()',
+    'function finalizeDisable()',
+    'function requestEnable()',
+    'function cancelEnable()',
+    'function finalizeEnable()',
+    'function updateGuardianMultisig(address newGuardian)',
+    'function requestRecovery(address to, uint256 amount)',
+    'function executeRecovery()',
+    'function cancelRecovery()',
+    'function guardianMultisig() view returns (address)',
+    'function sourceHash() view returns (bytes32)',
+    'function attestQuorum() view returns (uint256)',
+    'function periodWindow() view returns (uint256)',
+    'function disabled() view returns (bool)',
+    'function disableRequestedAt() view returns (uint256)',
+    'function pendingAction() view returns (uint8)',
+    'function disableTimelock() view returns (uint256)',
+    'function operatorAllowlist(address) view returns (bool)',
+    'function stable() view returns (address)',
+    'function pendingRecovery() view returns (address to, uint256 amount, uint256 requestedAt)',
+  ];
+
+  const TOKEN_ABI = [
+    'function balanceOf(address who) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+  ];
+
+  const GUARDIAN_METHODS = [
+    'setOperator',
+    'setSourceHash',
+    'setAttestQuorum',
+    'setPeriodWindow',
+    'requestDisable',
+    'cancelDisable',
+    'finalizeDisable',
+    'requestEnable',
+    'cancelEnable',
+    'finalizeEnable',
+    'updateGuardianMultisig',
+    'requestRecovery',
+    'executeRecovery',
+    'cancelRecovery',
+  ];
+
+  // AidAccessEscrowV2.PendingAction enum values
+  const PENDING = ['none', 'disable', 'enable'];
+
+  const iface = new ethers.Interface(GUARDIAN_ABI);
+
+  function fragmentFor(method) {
+    if (!GUARDIAN_METHODS.includes(method)) throw new Error(`Not a guardian method: ${method}`);
+    return iface.getFunction(method);
+  }
+
+  /** Coerce raw (string or JSON) values to the ABI types of `method`. */
+  function coerceArgs(method, raw) {
+    const frag = fragmentFor(method);
+    if (raw.length !== frag.inputs.length) {
+      throw new Error(`${method} expects ${frag.inputs.length} argument(s), got ${raw.length}`);
+    }
+    return frag.inputs.map((input, i) => {
+      const v = typeof raw[i] === 'string' ? raw[i].trim() : raw[i];
+      switch (input.type) {
+        case 'address':
+          return ethers.getAddress(v);
+        case 'bool':
+          if (v === true || v === 'true') return true;
+          if (v === false || v === 'false') return false;
+          throw new Error(`${method}.${input.name}: expected true or false, got ${v}`);
+        case 'bytes32':
+          if (!/^0x[0-9a-fA-F]{64}$/.test(v)) throw new Error(`${method}.${input.name}: expected 0x-prefixed 32 bytes`);
+          return v.toLowerCase();
+        case 'uint256':
+          return BigInt(v);
+        default:
+          throw new Error(`${method}.${input.name}: unsupported type ${input.type}`);
+      }
+    });
+  }
+
+  /** One Safe Transaction Builder entry with ABI-encoded calldata. */
+  function buildTransaction(escrow, method, args) {
+    const frag = fragmentFor(method);
+    const values = {};
+    frag.inputs.forEach((input, i) => { values[input.name] = String(args[i]); });
+    return {
+      to: ethers.getAddress(escrow),
+      value: '0',
+      data: iface.encodeFunctionData(frag, args),
+      contractMethod: {
+        inputs: frag.inputs.map((input) => ({ internalType: input.type, name: input.name, type: input.type })),
+        name: method,
+        payable: false,
+      },
+      contractInputsValues: values,
+    };
+  }
+
+  /** Batch file accepted by the Safe{Wallet} Transaction Builder "Load" action. */
+  function buildBatch({ chainId, safe, transactions, name, description }) {
+    return {
+      version: '1.0',
+      chainId: String(chainId),
+      createdAt: Date.now(),
+      meta: {
+        name: name || 'Aid Access Escrow guardian batch',
+        description: description || '',
+        txBuilderVersion: '1.16.5',
+        createdFromSafeAddress: safe ? ethers.getAddress(safe) : '',
+        createdFromOwnerAddress: '',
+      },
+      transactions,
+    };
+  }
+
+  const iso = (secs) => new Date(Number(secs) * 1000).toISOString();
+  const arrow = (label, from, to) => (String(from) === String(to) ? `${label}: ${from} (no change)` : `${label}: ${from} → ${to}`);
+
+  const NO_RECOVERY = [ethers.ZeroAddress, 0n, 0n];
+
+  /**
+   * Compare a call against current state.
+   * `escrow` is an ethers Contract (GUARDIAN_ABI) bound to a provider.
+   * `state` (a Map, see describeBatch) holds values set by earlier calls of the
+   * same batch; they are read instead of the chain and updated by this call
+   * unless it will revert. Without it the call is compared with the chain alone.
+   * Returns { changes: string[], warnings: string[] }.
+   */
+  async function describeCall(escrow, method, args, now = Math.floor(Date.now() / 1000), state = null) {
+    const changes = [];
+    const warnings = [];
+    const effects = {};
+    const read = (key, fn) => (state && state.has(key) ? state.get(key) : fn());
+
+    if (state && state.has('guardianReplaced')) {
+      warnings.push(`Will revert: an earlier call hands guardianship to ${state.get('guardianMultisig')}.`);
+    }
+
+    switch (method) {
+      case 'setOperator': {
+        const [op, ok] = args;
+        const key = `operatorAllowlist:${op}`;
+        changes.push(arrow(`operatorAllowlist[${op}]`, await read(key, () => escrow.operatorAllowlist(op)), ok));
+        effects[key] = ok;
+        break;
+      }
+      case 'setSourceHash': {
+        changes.push(arrow('sourceHash', await read('sourceHash', () => escrow.sourceHash()), args[0]));
+        effects.sourceHash = args[0];
+        break;
+      }
+      case 'setAttestQuorum': {
+        const current = await read('attestQuorum', () => escrow.attestQuorum());
+        changes.push(arrow('attestQuorum', current, args[0]));
+        if (args[0] === 0n) warnings.push('Will revert: quorum must be at least 1.');
+        else if (args[0] > current) warnings.push('Applies to every unpaid period: ones attested by fewer attestors stop being payable.');
+        effects.attestQuorum = args[0];
+        break;
+      }
+      case 'setPeriodWindow': {
+        const current = await read('periodWindow', () => escrow.periodWindow());
+        const mode = (w) => (w === 0n ? '0 (keyed periods)' : `${w}s windows`);
+        changes.push(arrow('periodWindow', mode(current), mode(args[0])));
+        if (args[0] !== current) {
+          warnings.push(args[0] === 0n
+            ? 'Attestations go back to caller-chosen period keys.'
+            : 'Only the open window accepts attestations; label-keyed and earlier-window periods stop taking attestations.');
+        }
+        effects.periodWindow = args[0];
+        break;
+      }
+      case 'updateGuardianMultisig': {
+        const current = await read('guardianMultisig', () => escrow.guardianMultisig());
+        changes.push(arrow('guardianMultisig', current, args[0]));
+        if (current !== args[0]) {
+          warnings.push('This Safe loses every guardian power once executed.');
+          effects.guardianMultisig = args[0];
+          effects.guardianReplaced = true;
+        }
+        break;
+      }
+      case 'requestDisable':
+      case 'requestEnable': {
+        const [disabled, pendingRaw, requestedAt, timelock] = await Promise.all([
+          read('disabled', () => escrow.disabled()),
+          read('pendingAction', () => escrow.pendingAction()),
+          read('disableRequestedAt', () => escrow.disableRequestedAt()),
+          escrow.disableTimelock(),
+        ]);
+        const pending = Number(pendingRaw);
+        const action = method === 'requestDisable' ? 'disable' : 'enable';
+        const next = method === 'requestDisable' ? 'finalizeDisable' : 'finalizeEnable';
+        changes.push(arrow('pendingAction', PENDING[pending], action));
+        changes.push(`disableRequestedAt: ${requestedAt} → execution block timestamp`);
+        changes.push(`${next} allowed ${timelock}s after execution (≈ ${iso(BigInt(now) + timelock)} if executed now)`);
+        if (method === 'requestDisable' && disabled) warnings.push('Will revert: contract is already disabled.');
+        if (method === 'requestEnable' && !disabled) warnings.push('Will revert: contract is not disabled.');
+        if (pending !== 0) warnings.push(`Will revert: a ${PENDING[pending]} request is pending since ${iso(requestedAt)}; cancel it first.`);
+        effects.pendingAction = PENDING.indexOf(action);
+        effects.disableRequestedAt = BigInt(now);
+        break;
+      }
+      case 'cancelDisable':
+      case 'cancelEnable':
+      case 'finalizeDisable':
+      case 'finalizeEnable': {
+        const [disabled, pendingRaw, requestedAt, timelock] = await Promise.all([
+          read('disabled', () => escrow.disabled()),
+          read('pendingAction', () => escrow.pendingAction()),
+          read('disableRequestedAt', () => escrow.disableRequestedAt()),
+          escrow.disableTimelock(),
+        ]);
+        const pending = Number(pendingRaw);
+        const action = /Disable$/.test(method) ? 'disable' : 'enable';
+        const finalize = method.startsWith('finalize');
+        if (finalize) changes.push(arrow('disabled', disabled, action === 'disable'));
+        changes.push(arrow('pendingAction', PENDING[pending], 'none'));
+        changes.push(arrow('disableRequestedAt', requestedAt, 0));
+        if (PENDING[pending] !== action) {
+          warnings.push(`Will revert: no ${action} request is pending (pending: ${PENDING[pending]}).`);
+        } else if (finalize && BigInt(now) < requestedAt + timelock) {
+          warnings.push(`Will revert until the timelock elapses at ${iso(requestedAt + timelock)}.`);
+        }
+        if (finalize) effects.disabled = action === 'disable';
+        effects.pendingAction = 0;
+        effects.disableRequestedAt = 0n;
+        break;
+      }
+      case 'requestRecovery':
+      case 'executeRecovery':
+      case 'cancelRecovery': {
+        const token = new ethers.Contract(await escrow.stable(), TOKEN_ABI, escrow.runner);
+        const [[pTo, pAmount, pAt], timelock, balance, decimals] = await Promise.all([
+          read('pendingRecovery', () => escrow.pendingRecovery()),
+          escrow.disableTimelock(),
+          read('balance', () => token.balanceOf(escrow.target)),
+          token.decimals(),
+        ]);
+        const fmt = (v) => ethers.formatUnits(v, decimals);
+        const pending = pAt > 0n;
+        const current = pending ? `${fmt(pAmount)} to ${pTo}` : 'none';
+        if (method === 'requestRecovery') {
+          const [to, amount] = args;
+          changes.push(arrow('pendingRecovery', current, `${fmt(amount)} to ${to}`));
+          changes.push(`executeRecovery allowed ${timelock}s after execution (≈ ${iso(BigInt(now) + timelock)} if executed now)`);
+          if (pending) warnings.push(`Will revert: a recovery of ${fmt(pAmount)} to ${pTo} is pending since ${iso(pAt)}; cancel it first.`);
+          if (amount === 0n) warnings.push('Will revert: amount is 0.');
+          if (amount > balance) warnings.push('Amount exceeds the current escrow balance; executeRecovery will revert unless it is topped up.');
+          effects.pendingRecovery = [to, amount, BigInt(now)];
+          break;
+        }
+        if (!pending) {
+          warnings.push('Will revert: no recovery is pending.');
+          break;
+        }
+        changes.push(arrow('pendingRecovery', current, 'none'));
+        effects.pendingRecovery = NO_RECOVERY;
+        if (method === 'executeRecovery') {
+          changes.push(`stable.balanceOf(escrow): ${fmt(balance)} → ${fmt(balance - pAmount)}`);
+          changes.push(`transfer ${fmt(pAmount)} to ${pTo} (RecoveryExecuted)`);
+          if (BigInt(now) < pAt + timelock) warnings.push(`Will revert until the timelock elapses at ${iso(pAt + timelock)}.`);
+          if (pAmount > balance) warnings.push('Will revert: amount exceeds the escrow balance.');
+          effects.balance = balance - pAmount;
+        }
+        break;
+      }
+      default:
+        fragmentFor(method);
+    }
+    if (state && !warnings.some((w) => w.startsWith('Will revert'))) {
+      Object.entries(effects).forEach(([key, value]) => state.set(key, value));
+    }
+    return { changes, warnings };
+  }
+
+  /**
+   * describeCall for each of `calls` ([{ method, args }]) in order, so every
+   * call sees the state left by the calls before it (a Safe batch executes
+   * them in one transaction). Returns one { changes, warnings } per call.
+   */
+  async function describeBatch(escrow, calls, now = Math.floor(Date.now() / 1000)) {
+    const state = new Map();
+    const out = [];
+    for (const c of calls) out.push(await describeCall(escrow, c.method, c.args, now, state));
+    return out;
+  }
+
+  return {
+    GUARDIAN_ABI,
+    GUARDIAN_METHODS,
+    fragmentFor,
+    coerceArgs,
+    buildTransaction,
+    buildBatch,
+    describeCall,
+    describeBatch,
+  };
+});
@@ -0,0 +1,153 @@
+/**
+ * ============================================================
+ * scripts/lib/shamir.js
+ * Aid Access Escrow V2 — Shamir secret sharing for guardian keys
+ * ------------------------------------------------------------
+ * Scheme "shamir-gf256-v1": every byte of the secret is the constant
+ * term of its own random polynomial of degree threshold-1 over
+ * GF(2^8) (AES field, x^8 + x^4 + x^3 + x + 1). Share i holds the
+ * polynomials evaluated at x = i, so any `threshold` shares rebuild
+ * the secret and fewer reveal nothing about it.
+ *
+ * Each share records:
+ *   setId        random id shared by all shares of one split
+ *   index        x coordinate (1…shares)
+ *   threshold / shares
+ *   data         share bytes (hex)
+ *   secretCheck  sha256(setId ‖ secret) — proves a rebuild is correct
+ *   checksum     sha256 over all of the above — catches edited shares
+ * encrypt-keys.js stores each share as its own encrypted key file.
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+
+const SCHEME = 'shamir-gf256-v1';
+
+// log / antilog tables for GF(2^8), generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0); // x * 3
+  }
+  for (let i = 255; i < 510; i++) EXP[i] = EXP[i - 255];
+})();
+
+function mul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+function sha256Hex(...parts) {
+  const h = crypto.createHash('sha256');
+  parts.forEach((p) => h.update(p));
+  return h.digest('hex');
+}
+
+function shareChecksum(s) {
+  return sha256Hex([SCHEME, s.setId, s.index, s.threshold, s.shares, s.data, s.secretCheck].join('|'));
+}
+
+/**
+ * Split `secret` (Buffer) into `shares` share objects, any `threshold`
+ * of which rebuild it.
+ */
+function split(secret, { threshold, shares }) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(shares)) throw new Error('threshold and shares must be integers');
+  if (threshold < 2) throw new Error('threshold must be at least 2');
+  if (shares < threshold) throw new Error('shares must be >= threshold');
+  if (shares > 255) throw new Error('at most 255 shares');
+  if (!secret.length) throw new Error('Nothing to split');
+
+  const setId = crypto.randomBytes(16);
+  const ys = Array.from({ length: shares }, () => Buffer.alloc(secret.length));
+
+  for (let b = 0; b < secret.length; b++) {
+    const coeffs = [secret[b], ...crypto.randomBytes(threshold - 1)];
+    for (let i = 0; i < shares; i++) {
+      // Horner at x = i + 1
+      const x = i + 1;
+      let y = 0;
+      for (let c = coeffs.length - 1; c >= 0; c--) y = mul(y, x) ^ coeffs[c];
+      ys[i][b] = y;
+    }
+    coeffs.fill(0);
+  }
+
+  const secretCheck = sha256Hex(setId, secret);
+  return ys.map((y, i) => {
+    const share = {
+      scheme: SCHEME,
+      setId: setId.toString('hex'),
+      index: i + 1,
+      threshold,
+      shares,
+      data: y.toString('hex'),
+      secretCheck,
+    };
+    return { ...share, checksum: shareChecksum(share) };
+  });
+}
+
+/** Validate one share object (e.g. parsed from a decrypted share file). */
+function parseShare(obj, label = 'share') {
+  if (!obj || obj.scheme !== SCHEME) throw new Error(`${label}: not a ${SCHEME} share`);
+  if (!/^[0-9a-f]+$/.test(obj.data || '') || obj.data.length % 2) throw new Error(`${label}: malformed share data`);
+  if (!Number.isInteger(obj.index) || obj.index < 1 || obj.index > 255) throw new Error(`${label}: bad share index`);
+  if (shareChecksum(obj) !== obj.checksum) throw new Error(`${label}: checksum mismatch (share was modified)`);
+  return obj;
+}
+
+/**
+ * Rebuild the secret from at least `threshold` shares of one split.
+ * Throws on mixed splits, duplicate indexes, too few shares, or a
+ * rebuild that does not match the split's secretCheck.
+ */
+function combine(shares) {
+  if (!shares.length) throw new Error('No shares given');
+  const first = shares[0];
+
+  for (const s of shares) {
+    if (s.setId !== first.setId || s.secretCheck !== first.secretCheck) {
+      throw new Error(`Share ${s.index} belongs to a different split (setId ${s.setId.slice(0, 8)}… vs ${first.setId.slice(0, 8)}…)`);
+    }
+    if (s.threshold !== first.threshold || s.shares !== first.shares || s.data.length !== first.data.length) {
+      throw new Error(`Share ${s.index} disagrees with the others on threshold, share count or length`);
+    }
+  }
+  const indexes = shares.map((s) => s.index);
+  const dup = indexes.find((x, i) => indexes.indexOf(x) !== i);
+  if (dup !== undefined) throw new Error(`Share ${dup} given more than once`);
+  if (shares.length < first.threshold) {
+    throw new Error(`Need ${first.threshold} shares, got ${shares.length}`);
+  }
+
+  const ys = shares.map((s) => Buffer.from(s.data, 'hex'));
+  const secret = Buffer.alloc(ys[0].length);
+
+  // Lagrange basis at x = 0: l_i = Π x_j / (x_j ⊕ x_i)  (subtraction is XOR)
+  const basis = indexes.map((xi, i) =>
+    indexes.reduce((acc, xj, j) => (i === j ? acc : mul(acc, div(xj, xj ^ xi))), 1)
+  );
+  for (let b = 0; b < secret.length; b++) {
+    let v = 0;
+    for (let i = 0; i < ys.length; i++) v ^= mul(ys[i][b], basis[i]);
+    secret[b] = v;
+  }
+
+  if (sha256Hex(Buffer.from(first.setId, 'hex'), secret) !== first.secretCheck) {
+    secret.fill(0);
+    throw new Error('Rebuilt key does not match the split checksum (tampered or mismatched shares)');
+  }
+  return secret;
+}
+
+module.exports = { SCHEME, split, parseShare, combine };
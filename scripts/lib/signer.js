@@ -0,0 +1,71 @@
+/**
+ * ============================================================
+ * scripts/lib/signer.js
+ * Aid Access Escrow V2 — Guardian signer loading (shared)
+ * ------------------------------------------------------------
+ * Every script that signs gets its key the same way:
+ *   1. --key-file <path>: an encrypt-keys.js file (v2 or legacy) or an
+ *      Ethereum keystore v3 JSON. The passphrase is prompted for (never
+ *      taken from argv) and the key is decrypted in memory only.
+ *   2. Otherwise the GUARDIAN_PRIVATE_KEY env var, with a warning.
+ *
+ * withSigner() drops the wallet once the callback returns and zeroes
+ * the decrypted buffer. JS strings cannot be wiped, so this narrows
+ * how long the key is reachable rather than guaranteeing erasure.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const keyfile = require('./keyfile');
+
+const { promptHidden } = keyfile;
+
+function isKeystoreJson(buf) {
+  return buf.length > 0 && buf.toString('utf8').trimStart().startsWith('{');
+}
+
+/**
+ * Load a guardian wallet, connected to `provider` when given.
+ * Options: { keyFile, provider, envVar = 'GUARDIAN_PRIVATE_KEY', prompt, log }
+ */
+async function loadSigner({ keyFile, provider = null, envVar = 'GUARDIAN_PRIVATE_KEY', prompt = promptHidden, log = console.log } = {}) {
+  let wallet;
+
+  if (keyFile) {
+    if (!fs.existsSync(keyFile)) throw new Error(`Key file not found: ${keyFile}`);
+    const buf = fs.readFileSync(keyFile);
+    const password = await prompt(`Passphrase for ${keyFile}: `);
+
+    if (isKeystoreJson(buf)) {
+      wallet = await ethers.Wallet.fromEncryptedJson(buf.toString('utf8'), password);
+    } else {
+      const { plaintext, version } = keyfile.decrypt(buf, password);
+      try {
+        wallet = new ethers.Wallet(keyfile.privateKeyFrom(plaintext));
+      } finally {
+        plaintext.fill(0);
+      }
+      if (version === 1) log('[signer] warning: legacy key file; re-encrypt with scripts/encrypt-keys.js --migrate');
+    }
+  } else {
+    const pk = process.env[envVar];
+    if (!pk) throw new Error(`Pass --key-file <encrypted key> (or set ${envVar})`);
+    log(`[signer] warning: using plaintext ${envVar}; prefer --key-file`);
+    wallet = new ethers.Wallet(pk);
+  }
+
+  return provider ? wallet.connect(provider) : wallet;
+}
+
+/** Load the signer, run `fn(wallet)`, then drop it. Returns fn's result. */
+async function withSigner(options, fn) {
+  let wallet = await loadSigner(options);
+  try {
+    return await fn(wallet);
+  } finally {
+    wallet = null;
+  }
+}
+
+module.exports = { promptHidden, loadSigner, withSigner };
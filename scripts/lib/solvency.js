@@ -0,0 +1,78 @@
+/**
+ * ============================================================
+ * scripts/lib/solvency.js
+ * Aid Access Escrow V2 — Solvency & Funding Runway (shared)
+ * ------------------------------------------------------------
+ * • Tranches the current escrow balance covers
+ * • Outstanding eligible-but-unpaid periods vs. balance
+ * • Funding by depositor (Deposit events)
+ * • Guardian recovery outflows, found as token transfers out of the
+ *   escrow with no Disburse in the same transaction (executeRecovery,
+ *   or the event-less guardianRecover of earlier deployments)
+ *
+ * Pure functions over plain objects with bigint amounts. Loaded by
+ * scripts/solvency-report.js (require) and by the dashboard
+ * (<script> tag → window.AASSolvency).
+ * ============================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.AASSolvency = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const sum = (list) => list.reduce((acc, x) => acc + x.amount, 0n);
+
+  /** Token transfers out of the escrow that are not a Disburse payout. */
+  function recoveryOutflows(outflows, disburses) {
+    const paidTxs = new Set(disburses.map((d) => d.txHash));
+    return outflows.filter((o) => !paidTxs.has(o.txHash));
+  }
+
+  /** Group Deposit rows by depositor, largest first. */
+  function depositorBreakdown(deposits) {
+    const byAddr = new Map();
+    for (const d of deposits) {
+      const key = d.from.toLowerCase();
+      const row = byAddr.get(key) || { address: d.from, total: 0n, count: 0 };
+      row.total += d.amount;
+      row.count += 1;
+      byAddr.set(key, row);
+    }
+    return [...byAddr.values()].sort((a, b) => (b.total > a.total ? 1 : b.total < a.total ? -1 : 0));
+  }
+
+  /**
+   * @param {object} input
+   * @param {bigint} input.balance   stable.balanceOf(escrow)
+   * @param {bigint} input.tranche   payout per period
+   * @param {Array<{from,amount,txHash,blockNumber}>} input.deposits
+   * @param {Array<{periodId,to,amount,txHash,blockNumber}>} input.disburses
+   * @param {Array<{to,amount,txHash,blockNumber}>} input.outflows  token Transfer(from = escrow)
+   * @param {Array<{id,eligible}>} input.periods  attested periods; eligible = targets and quorum met, unpaid, contract enabled
+   */
+  function summarize({ balance, tranche, deposits, disburses, outflows, periods }) {
+    const outstanding = periods.filter((p) => p.eligible);
+    const outstandingTotal = tranche * BigInt(outstanding.length);
+    const recoveries = recoveryOutflows(outflows, disburses);
+
+    return {
+      balance,
+      tranche,
+      tranchesCovered: tranche > 0n ? balance / tranche : null,
+      outstanding,
+      outstandingTotal,
+      shortfall: outstandingTotal > balance ? outstandingTotal - balance : 0n,
+      depositors: depositorBreakdown(deposits),
+      recoveries,
+      totals: {
+        deposited: sum(deposits),
+        disbursed: sum(disburses),
+        recovered: sum(recoveries),
+      },
+    };
+  }
+
+  return { summarize, depositorBreakdown, recoveryOutflows };
+});
@@ -0,0 +1,119 @@
+/**
+ * ============================================================
+ * scripts/lib/tree-hash.js
+ * Aid Access Escrow V2 — Deterministic directory hashing
+ * ------------------------------------------------------------
+ * Scheme "sha256-tree-v1":
+ *   1. List regular files under the root, excluding --ignore globs
+ *   2. Relative POSIX paths, sorted by UTF-8 byte order
+ *   3. One line per file, exactly as `sha256sum` prints it:
+ *        <sha256 of contents>  <relative path>\n
+ *   4. Tree hash = sha256 of those lines concatenated
+ *
+ * Timestamps, permissions, owners and empty directories do not
+ * count, so any two checkouts of the same tree hash the same. The
+ * listing itself can be checked with `sha256sum -c`.
+ * Symlinks are rejected rather than guessed at.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SCHEME = 'sha256-tree-v1';
+
+function sha256Hex(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+/**
+ * Glob → RegExp over relative POSIX paths.
+ * `**` spans directories, `*` and `?` stay within one segment.
+ * A pattern without "/" matches a name at any depth (like .gitignore),
+ * and a pattern naming a directory also covers everything inside it.
+ */
+function globToRegExp(glob) {
+  let g = glob.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '');
+  if (!g.includes('/')) g = `**/${g}`;
+  let re = '';
+  for (let i = 0; i < g.length; i++) {
+    const c = g[i];
+    if (c === '*' && g[i + 1] === '*') {
+      // "**/" = zero or more directories; trailing "**" = anything
+      if (g[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i += 1; }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}(?:/.*)?$`);
+}
+
+function byteOrder(a, b) {
+  return Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'));
+}
+
+/** Sorted relative POSIX paths of regular files under `root`. */
+function listFiles(root, ignore = []) {
+  const matchers = ignore.map(globToRegExp);
+  const skip = (rel) => matchers.some((m) => m.test(rel));
+  const files = [];
+
+  (function walk(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const abs = path.join(dir, entry.name);
+      const rel = path.relative(root, abs).split(path.sep).join('/');
+      if (skip(rel)) continue;
+      if (entry.isSymbolicLink()) throw new Error(`Symlinks are not supported in tree hashes: ${rel}`);
+      if (entry.isDirectory()) walk(abs);
+      else if (entry.isFile()) files.push(rel);
+    }
+  })(root);
+
+  return files.sort(byteOrder);
+}
+
+/**
+ * Hash a directory. Returns { scheme, hex, files: [{ path, sha256, bytes }] }.
+ */
+function hashTree(root, { ignore = [] } = {}) {
+  const st = fs.statSync(root);
+  if (!st.isDirectory()) throw new Error(`Not a directory: ${root}`);
+
+  const files = listFiles(root, ignore).map((rel) => {
+    const buf = fs.readFileSync(path.join(root, ...rel.split('/')));
+    return { path: rel, sha256: sha256Hex(buf), bytes: buf.length };
+  });
+  if (files.length === 0) throw new Error(`No files to hash under ${root}`);
+
+  return { scheme: SCHEME, hex: treeHashOf(files), files };
+}
+
+/** Tree hash of a per-file list (as stored in a manifest). */
+function treeHashOf(files) {
+  const listing = [...files]
+    .sort((a, b) => byteOrder(a.path, b.path))
+    .map((f) => `${f.sha256}  ${f.path}\n`)
+    .join('');
+  return sha256Hex(Buffer.from(listing, 'utf8'));
+}
+
+/**
+ * Compare two per-file lists. Returns { added, removed, changed } path arrays
+ * (relative to `expected`: added = only in actual, removed = only in expected).
+ */
+function diffFiles(expected, actual) {
+  const exp = new Map(expected.map((f) => [f.path, f.sha256]));
+  const act = new Map(actual.map((f) => [f.path, f.sha256]));
+  return {
+    added: [...act.keys()].filter((p) => !exp.has(p)).sort(byteOrder),
+    removed: [...exp.keys()].filter((p) => !act.has(p)).sort(byteOrder),
+    changed: [...act.keys()].filter((p) => exp.has(p) && exp.get(p) !== act.get(p)).sort(byteOrder),
+  };
+}
+
+module.exports = { SCHEME, sha256Hex, globToRegExp, listFiles, hashTree, treeHashOf, diffFiles };
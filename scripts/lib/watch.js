@@ -0,0 +1,302 @@
+/**
+ * ============================================================
+ * scripts/lib/watch.js
+ * Aid Access Escrow V2 — Watcher rules, checkpoint & alert sinks (node)
+ * ------------------------------------------------------------
+ * Rules, each turning events in a block range into alerts:
+ *   • guardian       GuardianMultisigUpdated
+ *   • source-hash    SourceHashSet, checked against the latest signed
+ *                    release manifest (scripts/release-manifest.js)
+ *   • disable        DisableRequested and Disabled
+ *   • recovery       RecoveryRequested
+ *   • large-outflow  token transfers out of the escrow at or above a
+ *                    threshold (Disburse, executeRecovery, anything else)
+ *
+ * Alerts are plain objects with a stable `id` (rule:tx:logIndex), so a
+ * receiver can drop the duplicates that at-least-once delivery allows.
+ * Used by scripts/watch.js; the tests drive createWatcher() against a
+ * Hardhat network.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const mf = require('./manifest');
+const { scanLogs } = require('./logs');
+
+const RULES = ['guardian', 'source-hash', 'disable', 'recovery', 'large-outflow'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const atLeast = (severity, min) => SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(min);
+
+/* ------------------------------------------------------------
+ * Manifest
+ * ----------------------------------------------------------*/
+/** Manifest JSON from a file path or an http(s) URL, read fresh on every call. */
+async function readManifest(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const res = await fetch(source, { signal: AbortSignal.timeout(10000) });
+    if (!res.ok) throw new Error(`Manifest ${source}: HTTP ${res.status}`);
+    return res.json();
+  }
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+/**
+ * Compare `hash` with the manifest and count its guardian signatures
+ * (owners of the guardian Safe, or the guardian itself when it is not a Safe).
+ * Returns { match, signed, approved, threshold, manifestHash }.
+ */
+async function manifestStatus(manifest, hash, guardian, provider) {
+  const safe = await mf.safeOwners(guardian, provider);
+  const expected = safe ? safe.owners : [guardian];
+  const threshold = safe ? safe.threshold : 1;
+  const check = mf.checkSigners(manifest, expected, threshold);
+  return {
+    match: manifest.sha256Bytes32.toLowerCase() === hash.toLowerCase(),
+    signed: check.ok && !check.invalid.length,
+    approved: check.approved.length,
+    threshold,
+    manifestHash: manifest.sha256Bytes32.toLowerCase(),
+  };
+}
+
+/* ------------------------------------------------------------
+ * Watcher
+ * ----------------------------------------------------------*/
+/**
+ * @param {object} opts
+ * @param {ethers.Provider} opts.provider
+ * @param {ethers.Contract} opts.escrow       ESCROW_ABI contract
+ * @param {ethers.Contract} opts.token        ERC20_ABI contract (the escrow's stable)
+ * @param {string[]} [opts.rules]             subset of RULES (default: all)
+ * @param {bigint}   [opts.outflowThreshold]  base units; large-outflow is off without it
+ * @param {Function} [opts.manifest]          async () => manifest JSON or null
+ * @param {number}   [opts.chunk]             blocks per getLogs request
+ */
+function createWatcher({ provider, escrow, token, rules = RULES, outflowThreshold = null, manifest = null, chunk = 2000 }) {
+  const on = new Set(rules);
+  let meta = null;
+  const times = new Map();
+
+  async function init() {
+    if (meta) return meta;
+    const [{ chainId }, contract, decimals, symbol] = await Promise.all([
+      provider.getNetwork(),
+      escrow.getAddress(),
+      token.decimals(),
+      token.symbol().catch(() => ''),
+    ]);
+    meta = { chainId: chainId.toString(), contract, decimals: Number(decimals), symbol };
+    return meta;
+  }
+
+  const fmt = (v) => `${ethers.formatUnits(v, meta.decimals)} ${meta.symbol}`.trim();
+
+  async function timeOf(blockNumber) {
+    if (!times.has(blockNumber)) {
+      const b = await provider.getBlock(blockNumber);
+      times.set(blockNumber, b ? b.timestamp : null);
+    }
+    return times.get(blockNumber);
+  }
+
+  async function alertFor(rule, severity, title, log, details) {
+    const ts = await timeOf(log.blockNumber);
+    return {
+      id: `${rule}:${log.transactionHash}:${log.index}`,
+      rule,
+      severity,
+      title,
+      contract: meta.contract,
+      chainId: meta.chainId,
+      blockNumber: log.blockNumber,
+      timestamp: ts == null ? null : new Date(ts * 1000).toISOString(),
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      details,
+    };
+  }
+
+  /**
+   * How a sourceHash compares with the latest signed manifest:
+   * { severity, title, details }. `blockTag` reads the guardian as of the change.
+   */
+  async function judgeSourceHash(hash, blockTag) {
+    let m = null;
+    try {
+      m = manifest ? await manifest() : null;
+    } catch (e) {
+      // An unreadable manifest must not hold back the alert itself
+      return { severity: 'critical', title: `sourceHash not verified: ${e.message}`, details: { sourceHash: hash } };
+    }
+    if (!m) {
+      return { severity: 'warning', title: 'sourceHash changed (no manifest configured to compare)', details: { sourceHash: hash } };
+    }
+    // Guardian as of the change; RPCs without archive state only know the current one
+    const guardian = await escrow.guardianMultisig({ blockTag }).catch(() => escrow.guardianMultisig());
+    let st;
+    try {
+      st = await manifestStatus(m, hash, guardian, provider);
+    } catch (e) {
+      // e.g. a file list edited after signing (scripts/lib/manifest.js)
+      return { severity: 'critical', title: `sourceHash not verified: ${e.message}`, details: { sourceHash: hash } };
+    }
+    const details = { sourceHash: hash, manifestHash: st.manifestHash, signatures: `${st.approved} of ${st.threshold}` };
+    if (!st.match) return { severity: 'critical', title: 'sourceHash does not match the latest signed manifest', details };
+    if (!st.signed) return { severity: 'critical', title: `sourceHash matches a manifest without enough guardian signatures (${details.signatures})`, details };
+    return { severity: 'info', title: 'sourceHash set to the signed release', details };
+  }
+
+  /** Alerts for blocks [from, to], in block order. */
+  async function check(from, to) {
+    await init();
+    const alerts = [];
+    const logs = (await scanLogs(escrow, '*', from, to, { chunk })).filter((l) => l.fragment);
+
+    for (const l of logs) {
+      const a = l.args;
+      switch (l.fragment.name) {
+        case 'GuardianMultisigUpdated':
+          if (on.has('guardian')) {
+            alerts.push(await alertFor('guardian', 'critical', 'Guardian multisig changed', l, { oldGuardian: a.oldAddr, newGuardian: a.newAddr }));
+          }
+          break;
+        case 'SourceHashSet':
+          if (on.has('source-hash')) {
+            const j = await judgeSourceHash(a.newHash, l.blockNumber);
+            alerts.push(await alertFor('source-hash', j.severity, j.title, l, { ...j.details, setter: a.setter }));
+          }
+          break;
+        case 'DisableRequested':
+        case 'Disabled':
+          if (on.has('disable')) {
+            const title = l.fragment.name === 'Disabled' ? 'Escrow disabled' : 'Disable requested';
+            alerts.push(await alertFor('disable', 'critical', title, l, { by: a.by, when: a.when.toString() }));
+          }
+          break;
+        case 'RecoveryRequested':
+          if (on.has('recovery')) {
+            alerts.push(
+              await alertFor('recovery', 'critical', `Guardian recovery of ${fmt(a.amount)} requested`, l, {
+                to: a.to,
+                amount: a.amount.toString(),
+                executableAt: new Date(Number(a.executableAt) * 1000).toISOString(),
+                by: a.by,
+              })
+            );
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (on.has('large-outflow') && outflowThreshold != null) {
+      const kindByTx = new Map();
+      for (const l of logs) {
+        if (l.fragment.name === 'Disburse') kindByTx.set(l.transactionHash, 'disburse');
+        if (l.fragment.name === 'RecoveryExecuted') kindByTx.set(l.transactionHash, 'recovery');
+      }
+      const transfers = await scanLogs(token, token.filters.Transfer(meta.contract), from, to, { chunk });
+      for (const t of transfers) {
+        if (t.args.value < outflowThreshold) continue;
+        alerts.push(
+          await alertFor('large-outflow', 'warning', `Outflow of ${fmt(t.args.value)} from the escrow`, t, {
+            to: t.args.to,
+            amount: t.args.value.toString(),
+            threshold: outflowThreshold.toString(),
+            via: kindByTx.get(t.transactionHash) || 'unknown',
+          })
+        );
+      }
+    }
+
+    return alerts.sort((x, y) => x.blockNumber - y.blockNumber || x.logIndex - y.logIndex);
+  }
+
+  /** Alert for the current sourceHash when it is not the signed release, else null. */
+  async function checkCurrentSource() {
+    await init();
+    if (!on.has('source-hash') || !manifest) return null;
+    const hash = await escrow.sourceHash();
+    const j = await judgeSourceHash(hash, 'latest');
+    if (j.severity === 'info') return null;
+    return {
+      id: `source-hash:state:${hash.toLowerCase()}:${j.details.manifestHash}:${j.details.signatures}`,
+      rule: 'source-hash',
+      severity: j.severity,
+      title: `Current ${j.title}`,
+      contract: meta.contract,
+      chainId: meta.chainId,
+      blockNumber: null,
+      timestamp: new Date().toISOString(),
+      txHash: null,
+      logIndex: null,
+      details: j.details,
+    };
+  }
+
+  return { init, check, checkCurrentSource };
+}
+
+/* ------------------------------------------------------------
+ * Checkpoint
+ * ----------------------------------------------------------*/
+/** { contract, chainId, lastBlock, lastStateAlert } or null when the file does not exist. */
+function loadCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  const cp = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Number.isInteger(cp.lastBlock)) throw new Error(`Checkpoint ${file} has no lastBlock`);
+  return cp;
+}
+
+// Write to a temp file and rename, so a crash never leaves half a checkpoint
+function saveCheckpoint(file, cp) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify({ ...cp, updatedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/* ------------------------------------------------------------
+ * Sinks
+ * ----------------------------------------------------------*/
+/** One line of text for chat webhooks and the console. */
+function summaryLine(alert) {
+  const where = alert.txHash ? ` · tx ${alert.txHash}` : '';
+  return `[${alert.severity.toUpperCase()}] ${alert.title} · ${alert.contract} (chain ${alert.chainId})${where}`;
+}
+
+/**
+ * Deliver alerts to every configured sink; throws on the first failure so
+ * the caller keeps its checkpoint and retries the range.
+ * Webhook body: { text, alert } (`text` renders in Slack-style webhooks).
+ */
+async function deliver(alerts, { webhook, out } = {}) {
+  for (const alert of alerts) {
+    if (webhook) {
+      const res = await fetch(webhook, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ text: summaryLine(alert), alert }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!res.ok) throw new Error(`Webhook returned HTTP ${res.status}`);
+    }
+    if (out) fs.appendFileSync(out, JSON.stringify(alert) + '\n');
+  }
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  atLeast,
+  readManifest,
+  manifestStatus,
+  createWatcher,
+  loadCheckpoint,
+  saveCheckpoint,
+  summaryLine,
+  deliver,
+};
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * scripts/release-manifest.js
+ * Aid Access Escrow V2 — Sign & Verify Release Manifests (schema v2)
+ * ------------------------------------------------------------
+ * • Upgrades a v1 manifest (compute-hash-publish.js) to v2
+ * • Prints the exact EIP-191 message guardians sign
+ * • Signs with a guardian key, or attaches a signature made elsewhere
+ *   (hardware wallet, Safe owner UI, `cast wallet sign`, …)
+ * • Verifies: recovers every signer and checks them against an expected
+ *   list or the on-chain guardianMultisig (Safe) owners and threshold
+ *
+ * Usage:
+ *   node scripts/release-manifest.js --manifest hash-manifest.json --message
+ *   node scripts/release-manifest.js --manifest hash-manifest.json --sign --key-file guardian-key.pem.enc
+ *   node scripts/release-manifest.js --manifest hash-manifest.json --add-signature 0x… --signer 0xGuardian
+ *   node scripts/release-manifest.js --manifest hash-manifest.json --verify --expect 0xA --expect 0xB --threshold 2
+ *   node scripts/release-manifest.js --manifest hash-manifest.json --verify --contract 0xEscrow
+ *
+ * Env:
+ *   GUARDIAN_PRIVATE_KEY=<0x...>   (for --sign without --key-file; discouraged)
+ *   RPC_URL=<https endpoint>       (for --verify --contract / --safe)
+ *
+ * Exit codes (--verify):
+ *   0  enough valid signatures from expected signers
+ *   1  usage or local error
+ *   2  not enough valid signatures (or an invalid signature is present),
+ *      or the file list does not hash to sha256Bytes32
+ *   3  could not read Safe owners from the chain
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { ethers } = require('ethers');
+const mf = require('./lib/manifest');
+const { withSigner } = require('./lib/signer');
+
+const EXIT = { OK: 0, ERROR: 1, FAIL: 2, READ_ERROR: 3 };
+
+const argv = yargs(hideBin(process.argv))
+  .option('manifest', { type: 'string', demandOption: true, describe: 'Manifest JSON (v1 or v2)' })
+  .option('upgrade', { type: 'boolean', default: false, describe: 'Rewrite a v1 manifest as v2 (no signatures)' })
+  .option('message', { type: 'boolean', default: false, describe: 'Print the message to sign with personal_sign' })
+  .option('sign', { type: 'boolean', default: false, describe: 'Sign with the guardian key and append the signature' })
+  .option('key-file', { type: 'string', describe: 'With --sign: encrypted guardian key (encrypt-keys.js or keystore v3); passphrase is prompted' })
+  .option('add-signature', { type: 'string', describe: 'Append a personal_sign signature produced elsewhere' })
+  .option('signer', { type: 'string', describe: 'With --add-signature: address the signature must recover to' })
+  .option('verify', { type: 'boolean', default: false, describe: 'Recover signers and check them' })
+  .option('expect', { type: 'string', array: true, default: [], describe: 'Expected signer address (repeatable)' })
+  .option('contract', { type: 'string', describe: 'Escrow address: expect owners of its guardianMultisig Safe' })
+  .option('safe', { type: 'string', describe: 'Safe address: expect its owners' })
+  .option('threshold', { type: 'number', describe: 'Valid expected signatures required (default: Safe threshold, else 1)' })
+  .option('out', { type: 'string', describe: 'Write the updated manifest here (default: in place)' })
+  .check((a) => {
+    const actions = [a.upgrade, a.message, a.sign, !!a.addSignature, a.verify].filter(Boolean);
+    if (actions.length !== 1) throw new Error('Specify exactly one: --upgrade, --message, --sign, --add-signature or --verify');
+    if (a.verify && !a.expect.length && !a.contract && !a.safe) {
+      throw new Error('--verify needs --expect, --contract or --safe');
+    }
+    return true;
+  })
+  .strict()
+  .help()
+  .argv;
+
+/* ------------------------------------------------------------
+ * Helpers
+ * ----------------------------------------------------------*/
+function readManifest(p) {
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+function writeManifest(manifest) {
+  const outPath = path.resolve(argv.out || argv.manifest);
+  fs.writeFileSync(outPath, JSON.stringify(manifest, null, 2));
+  console.log('[manifest] wrote:', outPath);
+}
+
+// Expected signers and threshold from flags or the guardian Safe on chain
+async function expectedSigners() {
+  if (!argv.contract && !argv.safe) {
+    return { signers: argv.expect, threshold: argv.threshold || 1, source: '--expect' };
+  }
+
+  const rpc = process.env.RPC_URL;
+  if (!rpc) throw new Error('Missing RPC_URL env var');
+  const provider = new ethers.JsonRpcProvider(rpc);
+
+  let safeAddr = argv.safe;
+  if (!safeAddr) {
+    const escrow = new ethers.Contract(argv.contract, ['function guardianMultisig() view returns (address)'], provider);
+    safeAddr = await escrow.guardianMultisig();
+  }
+  const safe = await mf.safeOwners(safeAddr, provider);
+  if (!safe) throw Object.assign(new Error(`${safeAddr} did not answer getOwners()/getThreshold(); is it a Safe?`), { read: true });
+
+  return {
+    signers: [...safe.owners, ...argv.expect],
+    threshold: argv.threshold || safe.threshold,
+    source: `Safe ${safeAddr} owners (threshold ${safe.threshold})`,
+  };
+}
+
+/* ------------------------------------------------------------
+ * Main
+ * ----------------------------------------------------------*/
+(async () => {
+  try {
+    const manifest = readManifest(path.resolve(argv.manifest));
+
+    if (argv.upgrade) {
+      writeManifest(mf.upgrade(manifest));
+    } else if (argv.message) {
+      console.log(mf.signingMessage(manifest));
+    } else if (argv.sign) {
+      const { signature, address } = await withSigner({ keyFile: argv.keyFile }, async (wallet) => ({
+        signature: await wallet.signMessage(mf.signingMessage(manifest)),
+        address: wallet.address,
+      }));
+      writeManifest(mf.addSignature(manifest, signature, address));
+      console.log('[sign] signed by:', address);
+    } else if (argv.addSignature) {
+      const updated = mf.addSignature(manifest, argv.addSignature, argv.signer);
+      writeManifest(updated);
+      console.log('[sign] added signature from:', updated.signatures[updated.signatures.length - 1].signer);
+    } else {
+      let expected;
+      try {
+        expected = await expectedSigners();
+      } catch (err) {
+        console.error('[verify] READ ERROR:', err.shortMessage || err.message);
+        process.exit(err.read || err.code ? EXIT.READ_ERROR : EXIT.ERROR);
+      }
+
+      // Signatures cover the file list only through sha256Bytes32
+      if (!mf.filesMatch(manifest)) {
+        console.error('[verify] FAILED: the file list does not hash to sha256Bytes32; it was edited after hashing');
+        process.exit(EXIT.FAIL);
+      }
+
+      const check = mf.checkSigners(manifest, expected.signers, expected.threshold);
+      console.log('==========================================================');
+      console.log(' Aid Access Escrow V2 — Manifest Signatures');
+      console.log('----------------------------------------------------------');
+      console.log(' Manifest: ', path.resolve(argv.manifest));
+      console.log(' sha256:   ', manifest.sha256Bytes32);
+      console.log(' Expected: ', expected.source);
+      console.log('==========================================================');
+      if (!check.results.length) console.log('  (no signatures)');
+      check.results.forEach((r) => {
+        const mark = !r.valid ? '✖ invalid' : check.approved.includes(r.recovered) ? '✓ expected' : '? unknown signer';
+        console.log(`  ${mark.padEnd(16)} ${r.valid ? r.recovered : r.signer}  ${r.signedAt}`);
+      });
+
+      const ok = check.ok && check.invalid.length === 0;
+      console.log(`[verify] ${check.approved.length}/${expected.threshold} expected signature(s) — ${ok ? 'OK ✓' : 'FAILED'}`);
+      process.exit(ok ? EXIT.OK : EXIT.FAIL);
+    }
+    process.exit(EXIT.OK);
+  } catch (err) {
+    console.error('[error]', err.message || err);
+    process.exit(EXIT.ERROR);
+  }
+})();
@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * scripts/report.js
+ * Aid Access Escrow V2 — Donor Audit Report
+ * ------------------------------------------------------------
+ * • Reads every escrow event over a block range
+ * • Groups attestations and payouts by period (Attest totals joined
+ *   with Disburse), plus deposits, operator changes and safety events
+ *   (disable/enable, guardian, quorum, period window, recoveries)
+ * • States the sourceHash in effect at the start and end of the range
+ *   and every SourceHashSet in between
+ * • Writes a self-contained static HTML page, a flat CSV and JSON;
+ *   every row carries its transaction hash
+ *
+ * Usage:
+ *   node scripts/report.js --contract 0xEscrow --from-block 12345678 --to-block 12545678
+ *   node scripts/report.js --contract 0xEscrow --from-block 12345678 --out-dir ./reports/2026-10 --explorer https://arbiscan.io
+ *   node scripts/report.js --contract 0xEscrow --from-block 12345678 --format csv --format json
+ *
+ * Env:
+ *   RPC_URL=<https endpoint>
+ *
+ * Notes:
+ *   • Pick the range from block timestamps (e.g. first and last block of the
+ *     month); periods are grouped by the events inside it, so a period
+ *     attested across two ranges appears in both with its in-range rows.
+ *   • The sourceHash at the range edges is read with eth_call at those
+ *     blocks. RPCs without archive state cannot answer for old blocks; the
+ *     report then says so and falls back to SourceHashSet events.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { ethers } = require('ethers');
+const { ESCROW_ABI, ERC20_ABI } = require('./lib/escrow-abi');
+const { scanLogs, parseBlock } = require('./lib/logs');
+const period = require('./lib/period');
+
+const SCHEMA = 'aid-access-escrow.report.v1';
+const FORMATS = ['html', 'csv', 'json'];
+const KINDS = { 1: 'hours', 2: 'kg' };
+const SAFETY_EVENTS = [
+  'DisableRequested', 'DisableCancelled', 'Disabled',
+  'EnableRequested', 'EnableCancelled', 'Enabled',
+  'GuardianMultisigUpdated', 'AttestQuorumSet', 'PeriodWindowSet',
+  'RecoveryRequested', 'RecoveryExecuted', 'RecoveryCancelled',
+];
+
+const argv = yargs(hideBin(process.argv))
+  .option('contract', { type: 'string', demandOption: true, describe: 'AidAccessEscrowV2 address' })
+  .option('from-block', { type: 'string', default: '0', describe: 'First block of the report (deployment block or month start)' })
+  .option('to-block', { type: 'string', describe: 'Last block of the report (default: latest)' })
+  .option('chunk', { type: 'number', default: 5000, describe: 'Blocks per getLogs request' })
+  .option('out-dir', { type: 'string', describe: 'Output directory (default: ./report-<chainId>-<from>-<to>)' })
+  .option('format', { type: 'string', array: true, choices: FORMATS, default: FORMATS, describe: 'Outputs to write (repeatable)' })
+  .option('title', { type: 'string', default: 'Aid Access Escrow — Donor Report', describe: 'Report title' })
+  .option('explorer', { type: 'string', describe: 'Block explorer base URL for tx links (e.g. https://etherscan.io)' })
+  .strict()
+  .help()
+  .argv;
+
+/* ------------------------------------------------------------
+ * Helpers
+ * ----------------------------------------------------------*/
+const iso = (secs) => (secs == null ? '' : new Date(secs * 1000).toISOString().replace('.000Z', 'Z'));
+
+// Contract view at a past block, or null when the RPC has no state for it
+async function readAt(fn, blockTag) {
+  try {
+    return await fn({ blockTag });
+  } catch {
+    return null;
+  }
+}
+
+// First block in [lo, hi] where `addr` has code (binary search; needs state for those blocks)
+async function deployBlock(provider, addr, lo, hi) {
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if ((await provider.getCode(addr, mid)) === '0x') lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+async function blockTimes(provider, numbers) {
+  const times = new Map();
+  for (const n of [...new Set(numbers)]) {
+    const b = await provider.getBlock(n);
+    times.set(n, b ? b.timestamp : null);
+  }
+  return times;
+}
+
+/* ------------------------------------------------------------
+ * Report model
+ * ----------------------------------------------------------*/
+/**
+ * Decoded logs → report sections. Amounts stay bigint here; `fmt`
+ * renders token amounts for the row `details`.
+ */
+function buildReport({ logs, times, fmt }) {
+  const base = (l) => ({
+    event: l.fragment.name,
+    blockNumber: l.blockNumber,
+    timestamp: times.get(l.blockNumber),
+    txHash: l.transactionHash,
+    logIndex: l.index,
+  });
+
+  const periods = new Map();
+  const periodOf = (id) => {
+    if (!periods.has(id)) periods.set(id, { id, attestations: [], disbursements: [], hours: 0n, kg: 0n, paid: 0n });
+    return periods.get(id);
+  };
+  const deposits = [];
+  const operators = [];
+  const safety = [];
+  const sourceChanges = [];
+  const totals = { deposited: 0n, disbursed: 0n, recovered: 0n };
+
+  for (const l of logs) {
+    const a = l.args;
+    switch (l.fragment.name) {
+      case 'Attest': {
+        const p = periodOf(a.periodId);
+        const kind = Number(a.kind);
+        if (kind === 1) p.hours += a.value;
+        if (kind === 2) p.kg += a.value;
+        p.attestations.push({ ...base(l), actor: a.attestor, kind: KINDS[kind] || String(kind), value: a.value, metaHash: a.metaHash });
+        break;
+      }
+      case 'Disburse': {
+        const p = periodOf(a.periodId);
+        p.paid += a.amount;
+        totals.disbursed += a.amount;
+        p.disbursements.push({ ...base(l), actor: a.to, amount: a.amount, details: `${fmt(a.amount)} to ${a.to}` });
+        break;
+      }
+      case 'Deposit':
+        totals.deposited += a.amount;
+        deposits.push({ ...base(l), actor: a.from, amount: a.amount, details: `${fmt(a.amount)} from ${a.from}` });
+        break;
+      case 'OperatorSet':
+        operators.push({ ...base(l), actor: a.op, details: a.ok ? `${a.op} allowed` : `${a.op} removed` });
+        break;
+      case 'SourceHashSet':
+        sourceChanges.push({ ...base(l), actor: a.setter, metaHash: a.newHash, details: `sourceHash → ${a.newHash}` });
+        break;
+      default: {
+        if (!SAFETY_EVENTS.includes(l.fragment.name)) break;
+        const row = { ...base(l), actor: a.by || a.newAddr || '', details: safetyDetails(l.fragment.name, a, fmt) };
+        if (l.fragment.name === 'RecoveryExecuted') {
+          totals.recovered += a.amount;
+          row.amount = a.amount;
+        }
+        safety.push(row);
+      }
+    }
+  }
+
+  return { periods: [...periods.values()], deposits, operators, safety, sourceChanges, totals };
+}
+
+function safetyDetails(name, a, fmt) {
+  switch (name) {
+    case 'GuardianMultisigUpdated': return `guardian ${a.oldAddr} → ${a.newAddr}`;
+    case 'AttestQuorumSet': return `attestor quorum ${a.oldQuorum} → ${a.newQuorum}`;
+    case 'PeriodWindowSet': return `period window ${a.oldWindow}s → ${a.newWindow}s`;
+    case 'RecoveryRequested': return `${fmt(a.amount)} to ${a.to}, executable ${iso(Number(a.executableAt))}`;
+    case 'RecoveryExecuted': return `${fmt(a.amount)} sent to ${a.to}`;
+    case 'RecoveryCancelled': return `${fmt(a.amount)} to ${a.to} withdrawn`;
+    default: return `by ${a.by}`;
+  }
+}
+
+/* ------------------------------------------------------------
+ * Writers
+ * ----------------------------------------------------------*/
+const CSV_COLUMNS = ['section', 'periodId', 'periodLabel', 'event', 'blockNumber', 'timestamp', 'txHash', 'logIndex', 'actor', 'kind', 'value', 'amount', 'metaHash', 'details'];
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per event, in block order within each section
+function flatRows(doc) {
+  const rows = [];
+  const push = (section, r, p) =>
+    rows.push({ section, periodId: p ? p.id : '', periodLabel: p ? p.label || '' : '', ...r, timestamp: iso(r.timestamp) });
+  doc.periods.forEach((p) => {
+    p.attestations.forEach((r) => push('attestation', r, p));
+    p.disbursements.forEach((r) => push('disbursement', r, p));
+  });
+  doc.deposits.forEach((r) => push('deposit', r));
+  doc.operators.forEach((r) => push('operator', r));
+  doc.safety.forEach((r) => push('safety', r));
+  doc.source.changes.forEach((r) => push('source', r));
+  return rows;
+}
+
+function toCsv(doc) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of flatRows(doc)) lines.push(CSV_COLUMNS.map((c) => csvCell(r[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+const plain = (doc) => JSON.stringify(doc, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2) + '\n';
+
+const esc = (v) => String(v == null ? '' : v).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+function toHtml(doc, { title, explorer }) {
+  const tx = (h) => (explorer ? `<a href="${esc(`${explorer.replace(/\/$/, '')}/tx/${h}`)}">${esc(h)}</a>` : esc(h));
+  const fmt = (v) => `${ethers.formatUnits(v, doc.token.decimals)} ${doc.token.symbol}`.trim();
+  const table = (head, rows) =>
+    rows.length
+      ? `<table><thead><tr>${head.map((h) => `<th>${esc(h)}</th>`).join('')}</tr></thead><tbody>${rows
+          .map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join('')}</tr>`)
+          .join('')}</tbody></table>`
+      : '<p class="muted">None in this range.</p>';
+  const when = (r) => `${r.blockNumber}<br><span class="muted">${esc(iso(r.timestamp))}</span>`;
+  const eventRows = (list) => list.map((r) => [when(r), esc(r.event), esc(r.details), tx(r.txHash)]);
+
+  const src = doc.source;
+  const periodsHtml = doc.periods
+    .map((p) => {
+      const status = p.onChain
+        ? `${p.onChain.paid ? 'paid' : 'unpaid'} · on-chain totals ${p.onChain.corridorHours} h / ${p.onChain.kgDelivered} kg`
+        : '';
+      return `<section class="period">
+<h3>${esc(p.label || p.id)}</h3>
+<p class="mono muted">${esc(p.id)}</p>
+<p>In range: <strong>${p.hours}</strong> corridor hours · <strong>${p.kg}</strong> kg delivered · <strong>${esc(fmt(p.paid))}</strong> paid out${status ? ` · ${esc(status)}` : ''}</p>
+${table(['Block', 'Attestor', 'Kind', 'Value', 'metaHash', 'Tx'], p.attestations.map((r) => [when(r), `<span class="mono">${esc(r.actor)}</span>`, esc(r.kind), esc(r.value), `<span class="mono">${esc(r.metaHash)}</span>`, tx(r.txHash)]))}
+${p.disbursements.length ? table(['Block', 'Operator', 'Amount', 'Tx'], p.disbursements.map((r) => [when(r), `<span class="mono">${esc(r.actor)}</span>`, esc(fmt(r.amount)), tx(r.txHash)])) : ''}
+</section>`;
+    })
+    .join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1a202c; }
+h1 { margin-bottom: .2rem; }
+h2 { margin-top: 2rem; border-bottom: 1px solid #e2e8f0; padding-bottom: .3rem; }
+table { width: 100%; border-collapse: collapse; font-size: .85rem; margin: .5rem 0 1rem; }
+th, td { text-align: left; padding: .3rem .4rem; border-bottom: 1px solid #e2e8f0; vertical-align: top; word-break: break-all; }
+th { background: #f8fafc; }
+.mono, td a { font-family: 'Fira Code', monospace; }
+.muted { color: #718096; }
+.kv { display: grid; grid-template-columns: 14rem 1fr; gap: .2rem 1rem; }
+.period { border: 1px solid #e2e8f0; border-radius: .4rem; padding: .2rem 1rem; margin-bottom: 1rem; }
+@media print { a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="muted">Generated ${esc(doc.generatedAt)} from on-chain events. Every row links to the transaction that recorded it.</p>
+
+<div class="kv">
+<div>Contract</div><div class="mono">${esc(doc.contract)} (chain ${esc(doc.chainId)})</div>
+<div>Blocks</div><div>${doc.fromBlock} (${esc(iso(doc.fromTime))}) → ${doc.toBlock} (${esc(iso(doc.toTime))})</div>
+<div>Token</div><div class="mono">${esc(doc.token.symbol)} ${esc(doc.token.address)}</div>
+<div>sourceHash at start</div><div class="mono">${esc(src.atStart || 'unknown')}</div>
+<div>sourceHash at end</div><div class="mono">${esc(src.atEnd || 'unknown')}</div>
+${src.note ? `<div></div><div class="muted">${esc(src.note)}</div>` : ''}
+<div>Deposited</div><div>${esc(fmt(doc.totals.deposited))}</div>
+<div>Disbursed</div><div>${esc(fmt(doc.totals.disbursed))}</div>
+<div>Recovered by guardians</div><div>${esc(fmt(doc.totals.recovered))}</div>
+<div>Periods</div><div>${doc.periods.length}</div>
+</div>
+
+<h2>Periods</h2>
+${periodsHtml || '<p class="muted">No attestations or payouts in this range.</p>'}
+
+<h2>Source hash changes</h2>
+${table(['Block', 'Event', 'Details', 'Tx'], eventRows(src.changes))}
+
+<h2>Safety events</h2>
+${table(['Block', 'Event', 'Details', 'Tx'], eventRows(doc.safety))}
+
+<h2>Operator changes</h2>
+${table(['Block', 'Event', 'Details', 'Tx'], eventRows(doc.operators))}
+
+<h2>Deposits</h2>
+${table(['Block', 'Event', 'Details', 'Tx'], eventRows(doc.deposits))}
+</body>
+</html>
+`;
+}
+
+/* ------------------------------------------------------------
+ * Main
+ * ----------------------------------------------------------*/
+(async () => {
+  try {
+    const rpc = process.env.RPC_URL;
+    if (!rpc) throw new Error('Missing RPC_URL env var');
+
+    const provider = new ethers.JsonRpcProvider(rpc);
+    const escrow = new ethers.Contract(argv.contract, ESCROW_ABI, provider);
+    const escrowAddr = await escrow.getAddress();
+    const { chainId } = await provider.getNetwork();
+    const latest = await provider.getBlockNumber();
+    const from = parseBlock(argv.fromBlock, 0);
+    const to = parseBlock(argv.toBlock, latest);
+    if (from > to) throw new Error(`--from-block ${from} is after --to-block ${to}`);
+
+    const token = new ethers.Contract(await escrow.stable(), ERC20_ABI, provider);
+    const [decimals, symbol, window] = await Promise.all([
+      token.decimals(),
+      token.symbol().catch(() => ''),
+      escrow.periodWindow().catch(() => 0n), // deployments without windows use keyed periods
+    ]);
+    const fmt = (v) => `${ethers.formatUnits(v, decimals)} ${symbol}`.trim();
+
+    console.log(`[scan] blocks ${from} → ${to}`);
+    const logs = (await scanLogs(escrow, '*', from, to, {
+      chunk: argv.chunk,
+      onChunk: (chunk, end) => console.log(`[scan] to block ${end}: ${chunk.length} event(s)`),
+    })).filter((l) => l.fragment);
+
+    const times = await blockTimes(provider, [from, to, ...logs.map((l) => l.blockNumber)]);
+    const model = buildReport({ logs, times, fmt });
+
+    // Labels and current status per period
+    for (const p of model.periods) {
+      const [corridorHours, kgDelivered, paid, createdAt] = await escrow.getPeriod(p.id);
+      p.label = period.guessLabel(p.id, Number(createdAt), window);
+      p.onChain = { corridorHours, kgDelivered, paid, createdAt: Number(createdAt) };
+    }
+    model.periods.sort((a, b) => a.onChain.createdAt - b.onChain.createdAt);
+
+    // sourceHash in effect at both edges of the range. A range that starts
+    // before deployment begins with the constructor's sourceHash.
+    let before = from > 0 ? from - 1 : 0;
+    const code = await readAt((o) => provider.getCode(escrowAddr, o.blockTag), before);
+    if (code === '0x') before = await deployBlock(provider, escrowAddr, before, to);
+    let atStart = await readAt((o) => escrow.sourceHash(o), before);
+    let atEnd = await readAt((o) => escrow.sourceHash(o), to);
+    let note = '';
+    if (atStart === null || atEnd === null) {
+      const current = await escrow.sourceHash();
+      const last = model.sourceChanges[model.sourceChanges.length - 1];
+      if (atEnd === null) atEnd = to === latest ? current : last ? last.metaHash : null;
+      if (atStart === null && !model.sourceChanges.length) atStart = atEnd;
+      note = 'The RPC could not read historical state; edge values come from SourceHashSet events and the current sourceHash.';
+    }
+
+    const doc = {
+      schema: SCHEMA,
+      generatedAt: new Date().toISOString(),
+      contract: escrowAddr,
+      chainId: chainId.toString(),
+      fromBlock: from,
+      toBlock: to,
+      fromTime: times.get(from),
+      toTime: times.get(to),
+      token: { address: await token.getAddress(), symbol, decimals: Number(decimals) },
+      periodWindow: window,
+      source: { atStart, atEnd, changes: model.sourceChanges, note },
+      totals: model.totals,
+      periods: model.periods,
+      deposits: model.deposits,
+      operators: model.operators,
+      safety: model.safety,
+    };
+
+    const outDir = path.resolve(argv.outDir || `report-${doc.chainId}-${from}-${to}`);
+    fs.mkdirSync(outDir, { recursive: true });
+    const formats = [...new Set(argv.format)];
+    const write = (name, text) => {
+      const file = path.join(outDir, name);
+      fs.writeFileSync(file, text);
+      console.log('[saved]', file);
+    };
+    if (formats.includes('html')) write('report.html', toHtml(doc, { title: argv.title, explorer: argv.explorer }));
+    if (formats.includes('csv')) write('report.csv', toCsv(doc));
+    if (formats.includes('json')) write('report.json', plain(doc));
+
+    console.log('==========================================================');
+    console.log(' Aid Access Escrow V2 — Donor Report');
+    console.log('----------------------------------------------------------');
+    console.log(' Contract:   ', escrowAddr);
+    console.log(' Blocks:     ', `${from} → ${to}`);
+    console.log(' Periods:    ', doc.periods.length);
+    console.log(' Deposited:  ', fmt(doc.totals.deposited));
+    console.log(' Disbursed:  ', fmt(doc.totals.disbursed));
+    console.log(' Recovered:  ', fmt(doc.totals.recovered));
+    console.log(' sourceHash: ', atStart === atEnd ? atEnd || 'unknown' : `${atStart || 'unknown'} → ${atEnd || 'unknown'}`);
+    console.log('==========================================================');
+    process.exit(0);
+  } catch (err) {
+    console.error('[error]', err.shortMessage || err.message || err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * scripts/safe-batch.js
+ * Aid Access Escrow V2 — Guardian Safe Transaction Batch Builder
+ * ------------------------------------------------------------
+ * • Encodes guardian-only calls (setOperator, setSourceHash, setAttestQuorum,
+ *   setPeriodWindow, disable/enable, updateGuardianMultisig, recovery)
+ *   from the contract ABI
+ * • Writes Safe Transaction Builder–compatible batch JSON
+ * • Prints a human-readable diff of each call vs. on-chain state, as left by the calls before it
+ *
+ * Usage:
+ *   node scripts/safe-batch.js --contract 0xEscrow --call "setOperator(0xOp,true)" --out batch.json
+ *   node scripts/safe-batch.js --contract 0xEscrow --call "setSourceHash(0x…)" --call "requestDisable()"
+ *   node scripts/safe-batch.js --contract 0xEscrow --plan ./guardian-plan.json --out batch.json
+ *
+ * Plan file:
+ *   { "name": "…", "description": "…",
+ *     "calls": [ { "method": "setOperator", "args": ["0xOp", true] } ] }
+ *
+ * Env:
+ *   RPC_URL=<https endpoint>   (chainId, Safe address and state diff; omit for offline encoding)
+ *
+ * Notes:
+ *   • Nothing is signed or sent. Load the output in Safe{Wallet} → Transaction Builder.
+ *   • uint256 amounts (requestRecovery) are in the token's base units.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { ethers } = require('ethers');
+const batch = require('./lib/safe-batch');
+
+const argv = yargs(hideBin(process.argv))
+  .option('contract', { type: 'string', demandOption: true, describe: 'AidAccessEscrowV2 address' })
+  .option('call', { type: 'string', array: true, default: [], describe: 'Guardian call, e.g. "setOperator(0xabc…,true)" (repeatable)' })
+  .option('plan', { type: 'string', describe: 'JSON plan file with { name, description, calls: [{ method, args }] }' })
+  .option('safe', { type: 'string', describe: 'Safe address (default: on-chain guardianMultisig)' })
+  .option('chain-id', { type: 'string', describe: 'Chain ID (required without RPC_URL)' })
+  .option('name', { type: 'string', describe: 'Batch name shown in the Transaction Builder' })
+  .option('description', { type: 'string', default: '', describe: 'Batch description' })
+  .option('out', { type: 'string', describe: 'Write batch JSON here (default: print to stdout)' })
+  .check((a) => {
+    if (!a.plan && a.call.length === 0) throw new Error('Provide --call and/or --plan');
+    return true;
+  })
+  .strict()
+  .help()
+  .argv;
+
+/* ------------------------------------------------------------
+ * Helpers
+ * ----------------------------------------------------------*/
+// "setOperator(0xabc, true)" → { method: 'setOperator', args: ['0xabc', 'true'] }
+function parseCall(str) {
+  const m = /^\s*(\w+)\s*\((.*)\)\s*$/.exec(str);
+  if (!m) throw new Error(`Cannot parse --call "${str}" (expected method(arg1,arg2))`);
+  const args = m[2].trim() ? m[2].split(',').map((s) => s.trim()) : [];
+  return { method: m[1], args };
+}
+
+function loadPlan(planPath) {
+  const parsed = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+  const plan = Array.isArray(parsed) ? { calls: parsed } : parsed;
+  if (!Array.isArray(plan.calls)) throw new Error('Plan must be an array of calls or { calls: [...] }');
+  return plan;
+}
+
+/* ------------------------------------------------------------
+ * Main
+ * ----------------------------------------------------------*/
+(async () => {
+  try {
+    const plan = argv.plan ? loadPlan(path.resolve(argv.plan)) : { calls: [] };
+    const calls = [...plan.calls, ...argv.call.map(parseCall)].map((c) => ({
+      method: c.method,
+      args: batch.coerceArgs(c.method, c.args || []),
+    }));
+
+    const rpc = process.env.RPC_URL;
+    const provider = rpc ? new ethers.JsonRpcProvider(rpc) : null;
+    const escrow = provider ? new ethers.Contract(argv.contract, batch.GUARDIAN_ABI, provider) : null;
+
+    let chainId = argv.chainId;
+    if (!chainId) {
+      if (!provider) throw new Error('Missing RPC_URL env var (or pass --chain-id for offline encoding)');
+      chainId = (await provider.getNetwork()).chainId.toString();
+    }
+    const safe = argv.safe || (escrow ? await escrow.guardianMultisig() : '');
+
+    console.error('==========================================================');
+    console.error(' Aid Access Escrow V2 — Guardian Safe Batch');
+    console.error('----------------------------------------------------------');
+    console.error(' Contract: ', ethers.getAddress(argv.contract));
+    console.error(' Safe:     ', safe || '(not set)');
+    console.error(' Chain ID: ', chainId);
+    console.error('==========================================================');
+
+    // Each diff starts from the state the earlier calls of the batch leave behind
+    const diffs = escrow ? await batch.describeBatch(escrow, calls) : [];
+    const transactions = [];
+    for (const [i, c] of calls.entries()) {
+      transactions.push(batch.buildTransaction(argv.contract, c.method, c.args));
+      console.error(`#${i + 1} ${c.method}(${c.args.join(', ')})`);
+      if (!escrow) {
+        console.error('    (no RPC_URL: state diff skipped)');
+        continue;
+      }
+      const { changes, warnings } = diffs[i];
+      changes.forEach((line) => console.error('    •', line));
+      warnings.forEach((line) => console.error('    ⚠', line));
+    }
+
+    const json = JSON.stringify(
+      batch.buildBatch({
+        chainId,
+        safe,
+        transactions,
+        name: argv.name || plan.name,
+        description: argv.description || plan.description,
+      }),
+      null,
+      2
+    );
+
+    if (argv.out) {
+      fs.writeFileSync(path.resolve(argv.out), json);
+      console.error('[batch] wrote:', path.resolve(argv.out));
+    } else {
+      console.log(json);
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error('[error]', err.message || err);
+    process.exit(1);
+  }
+})();
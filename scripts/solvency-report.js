@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * scripts/solvency-report.js
+ * Aid Access Escrow V2 — Solvency & Funding Runway Report
+ * ------------------------------------------------------------
+ * • Reads stable.balanceOf(escrow) and the tranche size
+ * • Counts how many tranches the balance covers
+ * • Lists eligible-but-unpaid periods (targets and quorum met, not yet disbursed)
+ * • Breaks down funding by depositor from Deposit events
+ * • Shows guardian recovery outflows as a separate line
+ *
+ * Usage:
+ *   node scripts/solvency-report.js --contract 0xEscrow --from-block 12345678
+ *   node scripts/solvency-report.js --contract 0xEscrow --from-block 12345678 --json > solvency.json
+ *
+ * Env:
+ *   RPC_URL=<https endpoint>
+ *
+ * Notes:
+ *   • Start at the deployment block; earlier blocks hold no escrow events.
+ *   • Recoveries are token transfers out of the escrow in transactions
+ *     without a Disburse. This also catches the event-less guardianRecover
+ *     of deployments before RecoveryExecuted existed.
+ * ============================================================
+ */
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { ethers } = require('ethers');
+const { ESCROW_ABI, ERC20_ABI } = require('./lib/escrow-abi');
+const { scanLogs, parseBlock } = require('./lib/logs');
+const { summarize } = require('./lib/solvency');
+
+const argv = yargs(hideBin(process.argv))
+  .option('contract', { type: 'string', demandOption: true, describe: 'AidAccessEscrowV2 address' })
+  .option('from-block', { type: 'string', default: '0', describe: 'First block to scan (deployment block recommended)' })
+  .option('to-block', { type: 'string', describe: 'Last block to scan (default: latest)' })
+  .option('chunk', { type: 'number', default: 5000, describe: 'Blocks per getLogs request' })
+  .option('json', { type: 'boolean', default: false, describe: 'Print JSON instead of text' })
+  .strict()
+  .help()
+  .argv;
+
+/* ------------------------------------------------------------
+ * Main
+ * ----------------------------------------------------------*/
+(async () => {
+  try {
+    const rpc = process.env.RPC_URL;
+    if (!rpc) throw new Error('Missing RPC_URL env var');
+
+    const provider = new ethers.JsonRpcProvider(rpc);
+    const escrow = new ethers.Contract(argv.contract, ESCROW_ABI, provider);
+    const escrowAddr = await escrow.getAddress();
+    const token = new ethers.Contract(await escrow.stable(), ERC20_ABI, provider);
+
+    const latest = await provider.getBlockNumber();
+    const from = parseBlock(argv.fromBlock, 0);
+    const to = parseBlock(argv.toBlock, latest);
+    const scan = (contract, filter) => scanLogs(contract, filter, from, to, { chunk: argv.chunk });
+
+    const [balance, tranche, hoursT, kgT, disabled, decimals, symbol] = await Promise.all([
+      token.balanceOf(escrowAddr),
+      escrow.tranche(),
+      escrow.hoursTarget(),
+      escrow.kgTarget(),
+      escrow.disabled(),
+      token.decimals(),
+      token.symbol().catch(() => ''),
+    ]);
+
+    const deposits = (await scan(escrow, escrow.filters.Deposit())).map((l) => ({
+      from: l.args.from, amount: l.args.amount, txHash: l.transactionHash, blockNumber: l.blockNumber,
+    }));
+    const disburses = (await scan(escrow, escrow.filters.Disburse())).map((l) => ({
+      periodId: l.args.periodId, to: l.args.to, amount: l.args.amount, txHash: l.transactionHash, blockNumber: l.blockNumber,
+    }));
+    const outflows = (await scan(token, token.filters.Transfer(escrowAddr))).map((l) => ({
+      to: l.args.to, amount: l.args.value, txHash: l.transactionHash, blockNumber: l.blockNumber,
+    }));
+
+    const periodIds = [...new Set((await scan(escrow, escrow.filters.Attest())).map((l) => l.args.periodId))];
+    const periods = await Promise.all(
+      periodIds.map(async (id) => {
+        // Deployments without quorumMet have no attestor quorum to meet
+        const [[hours, kg, paid], quorum] = await Promise.all([escrow.getPeriod(id), escrow.quorumMet(id).catch(() => true)]);
+        // Same test as periodMeetsTargets: nothing is payable while disabled
+        return { id, hours, kg, paid, eligible: !disabled && !paid && hours >= hoursT && kg >= kgT && quorum };
+      })
+    );
+
+    const report = summarize({ balance, tranche, deposits, disburses, outflows, periods });
+
+    if (argv.json) {
+      const plain = JSON.stringify(
+        { contract: escrowAddr, token: await token.getAddress(), symbol, decimals, disabled, fromBlock: from, toBlock: to, ...report },
+        (_, v) => (typeof v === 'bigint' ? v.toString() : v),
+        2
+      );
+      console.log(plain);
+      process.exit(0);
+    }
+
+    const fmt = (v) => `${ethers.formatUnits(v, decimals)} ${symbol}`.trim();
+    console.log('==========================================================');
+    console.log(' Aid Access Escrow V2 — Solvency Report');
+    console.log('----------------------------------------------------------');
+    console.log(' Contract:           ', escrowAddr);
+    console.log(' Blocks:             ', `${from} → ${to}`);
+    console.log(' Escrow balance:     ', fmt(report.balance));
+    console.log(' Tranche:            ', fmt(report.tranche));
+    if (disabled) console.log(' Status:             ', 'DISABLED (no period is payable until re-enabled)');
+    console.log(' Tranches covered:   ', report.tranchesCovered === null ? 'n/a (tranche is 0)' : report.tranchesCovered.toString());
+    console.log(' Eligible, unpaid:   ', `${report.outstanding.length} period(s) = ${fmt(report.outstandingTotal)}`);
+    console.log(' Shortfall:          ', report.shortfall > 0n ? fmt(report.shortfall) : 'none');
+    console.log('----------------------------------------------------------');
+    console.log(' Total deposited:    ', fmt(report.totals.deposited));
+    console.log(' Total disbursed:    ', fmt(report.totals.disbursed));
+    console.log(' Guardian recovered: ', fmt(report.totals.recovered));
+    console.log('==========================================================');
+
+    if (report.outstanding.length) {
+      console.log('[outstanding] eligible for disburse, not yet paid:');
+      report.outstanding.forEach((p) => console.log('  ', p.id, `hours=${p.hours} kg=${p.kg}`));
+    }
+    console.log('[depositors]');
+    if (!report.depositors.length) console.log('   (none in range)');
+    report.depositors.forEach((d) => console.log('  ', d.address, fmt(d.total), `(${d.count} deposit${d.count === 1 ? '' : 's'})`));
+    if (report.recoveries.length) {
+      console.log('[recovery] outflows without a Disburse:');
+      report.recoveries.forEach((r) => console.log('  ', r.to, fmt(r.amount), `block ${r.blockNumber}`, r.txHash));
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error('[error]', err.message || err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * scripts/watch.js
+ * Aid Access Escrow V2 — Safety Event Watcher (daemon)
+ * ------------------------------------------------------------
+ * • Polls the escrow for new events and keeps a checkpoint of the last
+ *   processed block, so a restart continues where it stopped
+ * • Rules (scripts/lib/watch.js): guardian change, sourceHash not the
+ *   latest signed manifest, disable requested / done, recovery requested,
+ *   large token outflows
+ * • Sends alerts to a webhook and/or appends them to a JSONL file, and
+ *   always prints them
+ *
+ * Usage:
+ *   node scripts/watch.js --contract 0xEscrow --manifest hash-manifest.json --large-outflow 10000 --webhook https://hooks.slack.com/services/…
+ *   node scripts/watch.js --contract 0xEscrow --out alerts.jsonl --rules guardian --rules disable
+ *   node scripts/watch.js --contract 0xEscrow --from-block 12345678 --once --out alerts.jsonl
+ *   node scripts/watch.js --config watch.json
+ *
+ * Env:
+ *   RPC_URL=<https endpoint>
+ *   WATCH_WEBHOOK_URL=<url>   (instead of --webhook; webhook URLs are secrets)
+ *
+ * Exit codes:
+ *   0  stopped (SIGINT/SIGTERM), or --once with no alert at --min-severity
+ *   1  usage or RPC error (--once), bad config
+ *   2  --once and at least one alert was raised
+ *
+ * Notes:
+ *   • Without a checkpoint the watcher starts at --from-block, default the
+ *     current head (only new events). The checkpoint only advances after
+ *     every alert for the range was delivered; a failed webhook retries the
+ *     range on the next poll, so receivers should de-duplicate on `id`.
+ *   • --confirmations keeps the newest blocks back until they are unlikely
+ *     to be reorganised; use 0 on a local Hardhat node.
+ *   • --manifest is re-read on every check (file or https URL), so pointing
+ *     it at the published manifest always compares with the latest release.
+ *   • --config loads the same options from JSON (option names as keys).
+ * ============================================================
+ */
+
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { ethers } = require('ethers');
+const { ESCROW_ABI, ERC20_ABI } = require('./lib/escrow-abi');
+const { parseBlock } = require('./lib/logs');
+const w = require('./lib/watch');
+
+const EXIT = { OK: 0, ERROR: 1, ALERT: 2 };
+
+const argv = yargs(hideBin(process.argv))
+  .config('config', 'JSON file with any of these options')
+  .option('contract', { type: 'string', demandOption: true, describe: 'AidAccessEscrowV2 address' })
+  .option('checkpoint', { type: 'string', describe: 'Checkpoint file (default: ./watch-<contract>.checkpoint.json)' })
+  .option('from-block', { type: 'string', describe: 'First block when there is no checkpoint (default: current head)' })
+  .option('rules', { type: 'string', array: true, choices: w.RULES, default: w.RULES, describe: 'Rules to evaluate (repeatable)' })
+  .option('manifest', { type: 'string', describe: 'Signed release manifest (path or https URL) for the source-hash rule' })
+  .option('large-outflow', { type: 'string', describe: 'Alert on a single transfer out of the escrow of at least this many tokens (e.g. 10000)' })
+  .option('webhook', { type: 'string', describe: 'POST each alert as JSON to this URL (or WATCH_WEBHOOK_URL)' })
+  .option('out', { type: 'string', describe: 'Append each alert as a JSON line to this file' })
+  .option('min-severity', { type: 'string', choices: w.SEVERITIES, default: 'info', describe: 'Send only alerts at or above this severity' })
+  .option('interval', { type: 'number', default: 15, describe: 'Seconds between polls' })
+  .option('confirmations', { type: 'number', default: 2, describe: 'Blocks to wait before processing' })
+  .option('chunk', { type: 'number', default: 2000, describe: 'Blocks per getLogs request' })
+  .option('once', { type: 'boolean', default: false, describe: 'Process up to the head once and exit' })
+  .check((a) => {
+    if (!ethers.isAddress(a.contract)) throw new Error(`Invalid --contract: ${a.contract}`);
+    if (!(a.interval > 0)) throw new Error('--interval must be > 0');
+    if (!Number.isInteger(a.confirmations) || a.confirmations < 0) throw new Error('--confirmations must be an integer >= 0');
+    if (a.largeOutflow !== undefined && !/^\d+(\.\d+)?$/.test(a.largeOutflow)) throw new Error(`Invalid --large-outflow: ${a.largeOutflow}`);
+    return true;
+  })
+  .strict()
+  .help()
+  .argv;
+
+/* ------------------------------------------------------------
+ * Helpers
+ * ----------------------------------------------------------*/
+let stopping = false;
+let wake = null;
+
+function stop(signal) {
+  console.log(`[watch] ${signal}: stopping after this poll`);
+  stopping = true;
+  if (wake) wake();
+}
+process.on('SIGINT', () => stop('SIGINT'));
+process.on('SIGTERM', () => stop('SIGTERM'));
+
+// Sleep that a stop signal cuts short
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(t);
+      resolve();
+    };
+  });
+}
+
+/* ------------------------------------------------------------
+ * Main
+ * ----------------------------------------------------------*/
+(async () => {
+  try {
+    const rpc = process.env.RPC_URL;
+    if (!rpc) throw new Error('Missing RPC_URL env var');
+    const webhook = argv.webhook || process.env.WATCH_WEBHOOK_URL || '';
+    if (!webhook && !argv.out) console.warn('[watch] no --webhook or --out: alerts are only printed');
+    if (argv.rules.includes('source-hash') && !argv.manifest) {
+      console.warn('[watch] no --manifest: every SourceHashSet is reported without a signature check');
+    }
+
+    const provider = new ethers.JsonRpcProvider(rpc);
+    const escrow = new ethers.Contract(argv.contract, ESCROW_ABI, provider);
+    const contract = await escrow.getAddress();
+    const token = new ethers.Contract(await escrow.stable(), ERC20_ABI, provider);
+
+    let outflowThreshold = null;
+    if (argv.largeOutflow !== undefined) outflowThreshold = ethers.parseUnits(argv.largeOutflow, await token.decimals());
+    else if (argv.rules.includes('large-outflow')) console.warn('[watch] no --large-outflow: the large-outflow rule is off');
+
+    const watcher = w.createWatcher({
+      provider,
+      escrow,
+      token,
+      rules: argv.rules,
+      outflowThreshold,
+      manifest: argv.manifest ? () => w.readManifest(argv.manifest) : null,
+      chunk: argv.chunk,
+    });
+    const { chainId } = await watcher.init();
+
+    const cpFile = path.resolve(argv.checkpoint || `watch-${contract.toLowerCase()}.checkpoint.json`);
+    let cp = w.loadCheckpoint(cpFile);
+    if (cp && (cp.contract.toLowerCase() !== contract.toLowerCase() || cp.chainId !== chainId)) {
+      throw new Error(`Checkpoint ${cpFile} belongs to ${cp.contract} on chain ${cp.chainId}`);
+    }
+    if (!cp) {
+      const head = await provider.getBlockNumber();
+      cp = { contract, chainId, lastBlock: parseBlock(argv.fromBlock, head + 1) - 1, lastStateAlert: null };
+      w.saveCheckpoint(cpFile, cp);
+    }
+    console.log(`[watch] ${contract} on chain ${chainId}, from block ${cp.lastBlock + 1} · rules: ${argv.rules.join(', ')}`);
+    console.log('[watch] checkpoint:', cpFile);
+
+    const sinks = { webhook, out: argv.out && path.resolve(argv.out) };
+    let raised = 0;
+    const send = async (alerts) => {
+      const wanted = alerts.filter((a) => w.atLeast(a.severity, argv.minSeverity));
+      wanted.forEach((a) => console.log('[alert]', w.summaryLine(a)));
+      await w.deliver(wanted, sinks);
+      raised += wanted.length;
+    };
+
+    let stateChecked = false;
+    while (!stopping) {
+      try {
+        // Current sourceHash vs. the manifest at startup, once per distinct finding;
+        // retried with the poll until its alert is delivered
+        if (!stateChecked) {
+          const state = await watcher.checkCurrentSource();
+          if (state && state.id !== cp.lastStateAlert) {
+            await send([state]);
+            cp = { ...cp, lastStateAlert: state.id };
+            w.saveCheckpoint(cpFile, cp);
+          }
+          stateChecked = true;
+        }
+
+        const head = (await provider.getBlockNumber()) - argv.confirmations;
+        if (head > cp.lastBlock) {
+          const alerts = await watcher.check(cp.lastBlock + 1, head);
+          await send(alerts);
+          cp = { ...cp, lastBlock: head };
+          w.saveCheckpoint(cpFile, cp);
+          console.log(`[watch] checked to block ${head}: ${alerts.length} alert(s)`);
+        }
+      } catch (e) {
+        if (argv.once) throw e;
+        console.error('[watch] poll failed, retrying:', e.shortMessage || e.message || e);
+      }
+      if (argv.once) break;
+      await sleep(argv.interval * 1000);
+    }
+
+    process.exit(argv.once && raised ? EXIT.ALERT : EXIT.OK);
+  } catch (err) {
+    console.error('[error]', err.shortMessage || err.message || err);
+    process.exit(EXIT.ERROR);
+  }
+})();
@@ -0,0 +1,146 @@
+/**
+ * ============================================================
+ * test/AidAccessEscrowV2.quorum.test.js
+ * Aid Access Escrow V2 — Attestor quorum and per-attestor contributions
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployEscrow } = require('./fixtures');
+
+const HOURS = 1;
+const KG = 2;
+const HOURS_TARGET = 10;
+const KG_TARGET = 100;
+const TRANCHE = 1_000_000n;
+const PERIOD = ethers.id('2026-10-19');
+
+async function deployFixture() {
+  const [guardian, attestorA, attestorB, attestorC, operator, stranger] = await ethers.getSigners();
+  const { escrow } = await deployEscrow({
+    hoursTarget: HOURS_TARGET,
+    kgTarget: KG_TARGET,
+    tranche: TRANCHE,
+    attestors: [attestorA, attestorB, attestorC].map((a) => a.address),
+    operators: [operator.address],
+    balance: TRANCHE * 5n,
+  });
+  return { escrow, guardian, attestorA, attestorB, attestorC, operator, stranger };
+}
+
+async function quorumTwoFixture() {
+  const f = await deployFixture();
+  await f.escrow.setAttestQuorum(2);
+  return f;
+}
+
+const meta = (s) => ethers.id(`report:${s}`);
+
+describe('AidAccessEscrowV2 — attestor quorum', function () {
+  describe('setAttestQuorum', function () {
+    it('defaults to a single attestor', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      expect(await escrow.attestQuorum()).to.equal(1n);
+    });
+
+    it('is guardian-only, rejects zero and emits AttestQuorumSet', async function () {
+      const { escrow, stranger } = await loadFixture(deployFixture);
+      await expect(escrow.connect(stranger).setAttestQuorum(2)).to.be.revertedWith('AAS: not guardian');
+      await expect(escrow.setAttestQuorum(0)).to.be.revertedWith('AAS: zero quorum');
+      await expect(escrow.setAttestQuorum(3)).to.emit(escrow, 'AttestQuorumSet').withArgs(1n, 3n);
+      expect(await escrow.attestQuorum()).to.equal(3n);
+    });
+  });
+
+  describe('contribution records', function () {
+    it('tracks each attestor per kind and lists them in first-attestation order', async function () {
+      const { escrow, attestorA, attestorB } = await loadFixture(deployFixture);
+      await escrow.connect(attestorB).attest(PERIOD, HOURS, 4, meta('b1'));
+      await escrow.connect(attestorA).attest(PERIOD, HOURS, 3, meta('a1'));
+      await escrow.connect(attestorB).attest(PERIOD, HOURS, 2, meta('b2'));
+      await escrow.connect(attestorA).attest(PERIOD, KG, 50, meta('a-kg'));
+
+      expect(await escrow.getAttestors(PERIOD, HOURS)).to.deep.equal([attestorB.address, attestorA.address]);
+      expect(await escrow.getAttestors(PERIOD, KG)).to.deep.equal([attestorA.address]);
+
+      const [value, metaHash, count, lastAt] = await escrow.getContribution(PERIOD, HOURS, attestorB.address);
+      expect(value).to.equal(6n);
+      expect(metaHash).to.equal(meta('b2'));
+      expect(count).to.equal(2n);
+      expect(lastAt).to.be.greaterThan(0n);
+
+      const [corridorHours, kgDelivered] = await escrow.getPeriod(PERIOD);
+      expect(corridorHours).to.equal(9n);
+      expect(kgDelivered).to.equal(50n);
+    });
+
+    it('returns an empty record for an attestor who did not attest', async function () {
+      const { escrow, attestorC } = await loadFixture(deployFixture);
+      const [value, metaHash, count, lastAt] = await escrow.getContribution(PERIOD, KG, attestorC.address);
+      expect([value, count, lastAt]).to.deep.equal([0n, 0n, 0n]);
+      expect(metaHash).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe('disbursement gate', function () {
+    it('one attestor meeting both targets is not enough under a quorum of 2', async function () {
+      const { escrow, attestorA, operator } = await loadFixture(quorumTwoFixture);
+      await escrow.connect(attestorA).attest(PERIOD, HOURS, HOURS_TARGET, meta('a1'));
+      await escrow.connect(attestorA).attest(PERIOD, KG, KG_TARGET, meta('a2'));
+
+      expect(await escrow.quorumMet(PERIOD)).to.equal(false);
+      expect(await escrow.periodMeetsTargets(PERIOD)).to.equal(false);
+      await expect(escrow.disburse(PERIOD, operator.address)).to.be.revertedWith('AAS: quorum not met');
+    });
+
+    it('repeat attestations by the same attestor do not count towards quorum', async function () {
+      const { escrow, attestorA, attestorB } = await loadFixture(quorumTwoFixture);
+      await escrow.connect(attestorA).attest(PERIOD, HOURS, 5, meta('a1'));
+      await escrow.connect(attestorA).attest(PERIOD, HOURS, 5, meta('a2'));
+      await escrow.connect(attestorA).attest(PERIOD, KG, 50, meta('a3'));
+      await escrow.connect(attestorB).attest(PERIOD, KG, 50, meta('b1'));
+
+      expect(await escrow.getAttestors(PERIOD, HOURS)).to.have.length(1);
+      expect(await escrow.quorumMet(PERIOD)).to.equal(false);
+    });
+
+    it('pays once each kind has quorum and totals meet targets', async function () {
+      const { escrow, attestorA, attestorB, operator } = await loadFixture(quorumTwoFixture);
+      await escrow.connect(attestorA).attest(PERIOD, HOURS, 6, meta('a1'));
+      await escrow.connect(attestorB).attest(PERIOD, HOURS, 4, meta('b1'));
+      await escrow.connect(attestorA).attest(PERIOD, KG, 60, meta('a2'));
+      await escrow.connect(attestorB).attest(PERIOD, KG, 40, meta('b2'));
+
+      expect(await escrow.quorumMet(PERIOD)).to.equal(true);
+      expect(await escrow.periodMeetsTargets(PERIOD)).to.equal(true);
+      await expect(escrow.disburse(PERIOD, operator.address))
+        .to.emit(escrow, 'Disburse')
+        .withArgs(PERIOD, operator.address, TRANCHE);
+    });
+
+    it('quorum without the targets still reverts on targets', async function () {
+      const { escrow, attestorA, attestorB, operator } = await loadFixture(quorumTwoFixture);
+      for (const a of [attestorA, attestorB]) {
+        await escrow.connect(a).attest(PERIOD, HOURS, 1, meta('h'));
+        await escrow.connect(a).attest(PERIOD, KG, 1, meta('k'));
+      }
+      expect(await escrow.quorumMet(PERIOD)).to.equal(true);
+      await expect(escrow.disburse(PERIOD, operator.address)).to.be.revertedWith('AAS: targets not met');
+    });
+
+    it('raising the quorum applies to periods attested before the change', async function () {
+      const { escrow, attestorA, attestorB, operator } = await loadFixture(deployFixture);
+      await escrow.connect(attestorA).attest(PERIOD, HOURS, HOURS_TARGET, meta('a1'));
+      await escrow.connect(attestorB).attest(PERIOD, KG, KG_TARGET, meta('b1'));
+      expect(await escrow.periodMeetsTargets(PERIOD)).to.equal(true);
+
+      await escrow.setAttestQuorum(2);
+      expect(await escrow.periodMeetsTargets(PERIOD)).to.equal(false);
+      await expect(escrow.disburse(PERIOD, operator.address)).to.be.revertedWith('AAS: quorum not met');
+    });
+  });
+});
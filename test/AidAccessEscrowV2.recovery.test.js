@@ -0,0 +1,115 @@
+/**
+ * ============================================================
+ * test/AidAccessEscrowV2.recovery.test.js
+ * Aid Access Escrow V2 — Timelocked guardian recovery
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { TIMELOCK, deployEscrow } = require('./fixtures');
+
+const BALANCE = 5_000_000n;
+const AMOUNT = 1_500_000n;
+
+async function deployFixture() {
+  const [guardian, rescue, stranger] = await ethers.getSigners();
+  const { escrow, stable } = await deployEscrow({ balance: BALANCE });
+  return { escrow, stable, guardian, rescue, stranger };
+}
+
+async function requestedFixture() {
+  const f = await deployFixture();
+  await f.escrow.requestRecovery(f.rescue.address, AMOUNT);
+  return f;
+}
+
+async function atOffset(escrow, offset) {
+  const [, , requestedAt] = await escrow.pendingRecovery();
+  await time.setNextBlockTimestamp(requestedAt + BigInt(offset));
+}
+
+describe('AidAccessEscrowV2 — guardian recovery', function () {
+  describe('requestRecovery', function () {
+    it('records the recovery and emits RecoveryRequested with the executable time', async function () {
+      const { escrow, guardian, rescue } = await loadFixture(deployFixture);
+      const at = (await time.latest()) + 10;
+      await time.setNextBlockTimestamp(at);
+      await expect(escrow.requestRecovery(rescue.address, AMOUNT))
+        .to.emit(escrow, 'RecoveryRequested')
+        .withArgs(rescue.address, AMOUNT, BigInt(at + TIMELOCK), guardian.address);
+
+      const [to, amount, requestedAt] = await escrow.pendingRecovery();
+      expect([to, amount, requestedAt]).to.deep.equal([rescue.address, AMOUNT, BigInt(at)]);
+    });
+
+    it('does not move funds', async function () {
+      const { escrow, stable } = await loadFixture(requestedFixture);
+      expect(await stable.balanceOf(await escrow.getAddress())).to.equal(BALANCE);
+    });
+
+    it('rejects a zero address, a zero amount and a second request', async function () {
+      const { escrow, rescue } = await loadFixture(deployFixture);
+      await expect(escrow.requestRecovery(ethers.ZeroAddress, AMOUNT)).to.be.revertedWith('AAS: zero addr');
+      await expect(escrow.requestRecovery(rescue.address, 0)).to.be.revertedWith('AAS: zero amount');
+      await escrow.requestRecovery(rescue.address, AMOUNT);
+      await expect(escrow.requestRecovery(rescue.address, 1)).to.be.revertedWith('AAS: recovery pending');
+    });
+
+    it('is guardian-only, like execute and cancel', async function () {
+      const { escrow, stranger } = await loadFixture(requestedFixture);
+      await expect(escrow.connect(stranger).requestRecovery(stranger.address, 1)).to.be.revertedWith('AAS: not guardian');
+      await expect(escrow.connect(stranger).executeRecovery()).to.be.revertedWith('AAS: not guardian');
+      await expect(escrow.connect(stranger).cancelRecovery()).to.be.revertedWith('AAS: not guardian');
+    });
+  });
+
+  describe('executeRecovery', function () {
+    it('reverts when nothing is pending', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await expect(escrow.executeRecovery()).to.be.revertedWith('AAS: recovery not requested');
+    });
+
+    it('reverts one second before the timelock and transfers exactly at it', async function () {
+      const { escrow, stable, guardian, rescue } = await loadFixture(requestedFixture);
+      await atOffset(escrow, TIMELOCK - 1);
+      await expect(escrow.executeRecovery()).to.be.revertedWith('AAS: timelock not elapsed');
+
+      await atOffset(escrow, TIMELOCK);
+      const tx = escrow.executeRecovery();
+      await expect(tx).to.emit(escrow, 'RecoveryExecuted').withArgs(rescue.address, AMOUNT, guardian.address);
+      await expect(tx).to.changeTokenBalances(stable, [escrow, rescue], [-AMOUNT, AMOUNT]);
+
+      const [, , requestedAt] = await escrow.pendingRecovery();
+      expect(requestedAt).to.equal(0n);
+      await expect(escrow.executeRecovery()).to.be.revertedWith('AAS: recovery not requested');
+    });
+
+    it('still works while the contract is disabled', async function () {
+      const { escrow, rescue, stable } = await loadFixture(deployFixture);
+      await escrow.requestDisable();
+      await time.increase(TIMELOCK);
+      await escrow.finalizeDisable();
+
+      await escrow.requestRecovery(rescue.address, AMOUNT);
+      await time.increase(TIMELOCK);
+      await escrow.executeRecovery();
+      expect(await stable.balanceOf(rescue.address)).to.equal(AMOUNT);
+    });
+  });
+
+  describe('cancelRecovery', function () {
+    it('clears the request, emits RecoveryCancelled and allows a new request', async function () {
+      const { escrow, guardian, rescue } = await loadFixture(requestedFixture);
+      await expect(escrow.cancelRecovery())
+        .to.emit(escrow, 'RecoveryCancelled')
+        .withArgs(rescue.address, AMOUNT, guardian.address);
+      await expect(escrow.executeRecovery()).to.be.revertedWith('AAS: recovery not requested');
+      await expect(escrow.cancelRecovery()).to.be.revertedWith('AAS: recovery not requested');
+      await expect(escrow.requestRecovery(rescue.address, 1)).to.emit(escrow, 'RecoveryRequested');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * ============================================================
+ * test/AidAccessEscrowV2.safe-batch.test.js
+ * Aid Access Escrow V2 — Guardian batch diffs against a Hardhat network
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const batch = require('../scripts/lib/safe-batch');
+const { TIMELOCK, deployEscrow } = require('./fixtures');
+
+async function deployFixture() {
+  const [guardian, rescue, operator, newGuardian] = await ethers.getSigners();
+  const { escrow } = await deployEscrow({ balance: 5_000_000n });
+  const reader = new ethers.Contract(await escrow.getAddress(), batch.GUARDIAN_ABI, ethers.provider);
+  return { escrow, reader, guardian, rescue, operator, newGuardian };
+}
+
+const reverts = (d) => d.warnings.filter((w) => w.startsWith('Will revert'));
+
+describe('AidAccessEscrowV2 — Safe batch diffs', function () {
+  it('compares a single call with the chain alone', async function () {
+    const { reader } = await loadFixture(deployFixture);
+    const d = await batch.describeCall(reader, 'cancelDisable', []);
+    expect(reverts(d)).to.deep.equal(['Will revert: no disable request is pending (pending: none).']);
+  });
+
+  it('lets later calls see requests made earlier in the batch', async function () {
+    const { reader, rescue } = await loadFixture(deployFixture);
+    const diffs = await batch.describeBatch(reader, [
+      { method: 'requestDisable', args: [] },
+      { method: 'cancelDisable', args: [] },
+      { method: 'requestRecovery', args: [rescue.address, 1_000_000n] },
+      { method: 'cancelRecovery', args: [] },
+    ]);
+    diffs.forEach((d) => expect(reverts(d)).to.deep.equal([]));
+    expect(diffs[1].changes).to.include('pendingAction: disable → none');
+    expect(diffs[3].changes).to.include(`pendingRecovery: 1.0 to ${rescue.address} → none`);
+  });
+
+  it('flags calls that revert because of earlier ones', async function () {
+    const { reader, operator, newGuardian } = await loadFixture(deployFixture);
+    const now = await time.latest();
+    const diffs = await batch.describeBatch(
+      reader,
+      [
+        { method: 'requestDisable', args: [] },
+        { method: 'requestEnable', args: [] },
+        { method: 'finalizeDisable', args: [] },
+        { method: 'setOperator', args: [operator.address, true] },
+        { method: 'setOperator', args: [operator.address, false] },
+        { method: 'updateGuardianMultisig', args: [newGuardian.address] },
+        { method: 'setSourceHash', args: [ethers.id('next')] },
+      ],
+      now
+    );
+    expect(reverts(diffs[1])).to.have.length(2);
+    expect(reverts(diffs[1])[1]).to.match(/^Will revert: a disable request is pending since /);
+    expect(reverts(diffs[2])).to.deep.equal([`Will revert until the timelock elapses at ${new Date((now + TIMELOCK) * 1000).toISOString()}.`]);
+    expect(diffs[4].changes).to.deep.equal([`operatorAllowlist[${operator.address}]: true → false`]);
+    expect(reverts(diffs[6])).to.deep.equal([`Will revert: an earlier call hands guardianship to ${newGuardian.address}.`]);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * ============================================================
+ * test/AidAccessEscrowV2.timelock.test.js
+ * Aid Access Escrow V2 — Disable / enable pending-action state machine
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyUint } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { TIMELOCK, deployEscrow } = require('./fixtures');
+
+const PENDING = { None: 0n, Disable: 1n, Enable: 2n };
+
+async function deployFixture() {
+  const [guardian, attestor, operator, stranger] = await ethers.getSigners();
+  const { escrow } = await deployEscrow({ attestors: [attestor.address] });
+  return { escrow, guardian, attestor, operator, stranger };
+}
+
+async function disabledFixture() {
+  const f = await deployFixture();
+  await f.escrow.requestDisable();
+  await time.increase(TIMELOCK);
+  await f.escrow.finalizeDisable();
+  return f;
+}
+
+// Mine the next transaction at exactly requestedAt + offset
+async function atOffset(escrow, offset) {
+  await time.setNextBlockTimestamp((await escrow.disableRequestedAt()) + BigInt(offset));
+}
+
+describe('AidAccessEscrowV2 — pending actions', function () {
+  describe('initial state', function () {
+    it('starts enabled with nothing pending', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      expect(await escrow.disabled()).to.equal(false);
+      expect(await escrow.pendingAction()).to.equal(PENDING.None);
+      expect(await escrow.disableRequestedAt()).to.equal(0n);
+    });
+
+    it('rejects finalize and cancel when nothing is pending', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await expect(escrow.finalizeDisable()).to.be.revertedWith('AAS: disable not requested');
+      await expect(escrow.cancelDisable()).to.be.revertedWith('AAS: disable not requested');
+      await expect(escrow.finalizeEnable()).to.be.revertedWith('AAS: enable not requested');
+      await expect(escrow.cancelEnable()).to.be.revertedWith('AAS: enable not requested');
+    });
+
+    it('rejects requestEnable while enabled', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await expect(escrow.requestEnable()).to.be.revertedWith('AAS: not disabled');
+    });
+  });
+
+  describe('disable', function () {
+    it('requestDisable records the action and emits DisableRequested', async function () {
+      const { escrow, guardian } = await loadFixture(deployFixture);
+      const tx = escrow.requestDisable();
+      await expect(tx).to.emit(escrow, 'DisableRequested').withArgs(guardian.address, await time.latest() + 1);
+      expect(await escrow.pendingAction()).to.equal(PENDING.Disable);
+      expect(await escrow.disableRequestedAt()).to.equal(BigInt(await time.latest()));
+    });
+
+    it('rejects a second request instead of restarting the timer', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await escrow.requestDisable();
+      await expect(escrow.requestDisable()).to.be.revertedWith('AAS: action pending');
+    });
+
+    it('cannot be consumed by finalizeEnable or cancelEnable', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await escrow.requestDisable();
+      await time.increase(TIMELOCK);
+      await expect(escrow.finalizeEnable()).to.be.revertedWith('AAS: enable not requested');
+      await expect(escrow.cancelEnable()).to.be.revertedWith('AAS: enable not requested');
+      expect(await escrow.pendingAction()).to.equal(PENDING.Disable);
+    });
+
+    it('finalizeDisable reverts one second before the timelock and succeeds exactly at it', async function () {
+      const { escrow, guardian } = await loadFixture(deployFixture);
+      await escrow.requestDisable();
+
+      await atOffset(escrow, TIMELOCK - 1);
+      await expect(escrow.finalizeDisable()).to.be.revertedWith('AAS: timelock not elapsed');
+
+      await atOffset(escrow, TIMELOCK);
+      await expect(escrow.finalizeDisable()).to.emit(escrow, 'Disabled').withArgs(guardian.address, anyUint);
+      expect(await escrow.disabled()).to.equal(true);
+      expect(await escrow.pendingAction()).to.equal(PENDING.None);
+      expect(await escrow.disableRequestedAt()).to.equal(0n);
+    });
+
+    it('cancelDisable clears the request and emits DisableCancelled', async function () {
+      const { escrow, guardian } = await loadFixture(deployFixture);
+      await escrow.requestDisable();
+      await expect(escrow.cancelDisable()).to.emit(escrow, 'DisableCancelled').withArgs(guardian.address, anyUint);
+      expect(await escrow.pendingAction()).to.equal(PENDING.None);
+      expect(await escrow.disableRequestedAt()).to.equal(0n);
+
+      await time.increase(TIMELOCK);
+      await expect(escrow.finalizeDisable()).to.be.revertedWith('AAS: disable not requested');
+    });
+
+    it('a new request after cancel restarts the timelock', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await escrow.requestDisable();
+      await time.increase(TIMELOCK - 10);
+      await escrow.cancelDisable();
+      await escrow.requestDisable();
+
+      await atOffset(escrow, TIMELOCK - 1);
+      await expect(escrow.finalizeDisable()).to.be.revertedWith('AAS: timelock not elapsed');
+      await atOffset(escrow, TIMELOCK);
+      await escrow.finalizeDisable();
+      expect(await escrow.disabled()).to.equal(true);
+    });
+
+    it('only the guardian can request, cancel or finalize', async function () {
+      const { escrow, stranger } = await loadFixture(deployFixture);
+      await expect(escrow.connect(stranger).requestDisable()).to.be.revertedWith('AAS: not guardian');
+      await escrow.requestDisable();
+      await time.increase(TIMELOCK);
+      await expect(escrow.connect(stranger).cancelDisable()).to.be.revertedWith('AAS: not guardian');
+      await expect(escrow.connect(stranger).finalizeDisable()).to.be.revertedWith('AAS: not guardian');
+    });
+
+    it('blocks attest and disburse once disabled', async function () {
+      const { escrow, attestor, operator } = await loadFixture(disabledFixture);
+      await expect(escrow.connect(attestor).attest(ethers.id('p'), 1, 1, ethers.ZeroHash)).to.be.revertedWith('AAS: contract disabled');
+      await expect(escrow.disburse(ethers.id('p'), operator.address)).to.be.revertedWith('AAS: contract disabled');
+    });
+  });
+
+  describe('enable', function () {
+    it('rejects requestDisable while disabled', async function () {
+      const { escrow } = await loadFixture(disabledFixture);
+      await expect(escrow.requestDisable()).to.be.revertedWith('AAS: already disabled');
+    });
+
+    it('requestEnable records the action and emits EnableRequested', async function () {
+      const { escrow, guardian } = await loadFixture(disabledFixture);
+      await expect(escrow.requestEnable()).to.emit(escrow, 'EnableRequested').withArgs(guardian.address, anyUint);
+      expect(await escrow.pendingAction()).to.equal(PENDING.Enable);
+      await expect(escrow.requestEnable()).to.be.revertedWith('AAS: action pending');
+    });
+
+    it('cannot be consumed by finalizeDisable or cancelDisable', async function () {
+      const { escrow } = await loadFixture(disabledFixture);
+      await escrow.requestEnable();
+      await time.increase(TIMELOCK);
+      await expect(escrow.finalizeDisable()).to.be.revertedWith('AAS: disable not requested');
+      await expect(escrow.cancelDisable()).to.be.revertedWith('AAS: disable not requested');
+      expect(await escrow.pendingAction()).to.equal(PENDING.Enable);
+    });
+
+    it('finalizeEnable reverts one second before the timelock and succeeds exactly at it', async function () {
+      const { escrow, guardian } = await loadFixture(disabledFixture);
+      await escrow.requestEnable();
+
+      await atOffset(escrow, TIMELOCK - 1);
+      await expect(escrow.finalizeEnable()).to.be.revertedWith('AAS: timelock not elapsed');
+
+      await atOffset(escrow, TIMELOCK);
+      await expect(escrow.finalizeEnable()).to.emit(escrow, 'Enabled').withArgs(guardian.address, anyUint);
+      expect(await escrow.disabled()).to.equal(false);
+      expect(await escrow.pendingAction()).to.equal(PENDING.None);
+      expect(await escrow.disableRequestedAt()).to.equal(0n);
+    });
+
+    it('cancelEnable keeps the contract disabled and emits EnableCancelled', async function () {
+      const { escrow, guardian } = await loadFixture(disabledFixture);
+      await escrow.requestEnable();
+      await expect(escrow.cancelEnable()).to.emit(escrow, 'EnableCancelled').withArgs(guardian.address, anyUint);
+      expect(await escrow.disabled()).to.equal(true);
+      expect(await escrow.pendingAction()).to.equal(PENDING.None);
+      await time.increase(TIMELOCK);
+      await expect(escrow.finalizeEnable()).to.be.revertedWith('AAS: enable not requested');
+    });
+
+    it('a full disable → enable → disable cycle works', async function () {
+      const { escrow } = await loadFixture(disabledFixture);
+      await escrow.requestEnable();
+      await time.increase(TIMELOCK);
+      await escrow.finalizeEnable();
+      await escrow.requestDisable();
+      await time.increase(TIMELOCK);
+      await escrow.finalizeDisable();
+      expect(await escrow.disabled()).to.equal(true);
+    });
+  });
+});
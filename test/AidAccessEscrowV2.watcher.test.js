@@ -0,0 +1,165 @@
+/**
+ * ============================================================
+ * test/AidAccessEscrowV2.watcher.test.js
+ * Aid Access Escrow V2 — Watcher rules against a Hardhat network
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const mf = require('../scripts/lib/manifest');
+const w = require('../scripts/lib/watch');
+const { TIMELOCK, deployEscrow } = require('./fixtures');
+
+const RELEASE = ethers.id('release-1');
+
+async function deployFixture() {
+  const [guardian, newGuardian, stranger] = await ethers.getSigners();
+  const { escrow, stable } = await deployEscrow({ balance: 50_000_000_000n });
+  return { escrow, stable, guardian, newGuardian, stranger };
+}
+
+async function signedManifest(hash, signer) {
+  const m = mf.upgrade({ schema: mf.SCHEMA_V1, sha256Bytes32: hash, file: 'release.zip', computedAt: '2026-10-19T00:00:00Z' });
+  return mf.addSignature(m, await signer.signMessage(mf.signingMessage(m)), signer.address);
+}
+
+function watcherFor({ escrow, stable }, opts = {}) {
+  return w.createWatcher({ provider: ethers.provider, escrow, token: stable, ...opts });
+}
+
+// Run `fn` and return the watcher's alerts for the blocks it mined
+async function alertsOf(watcher, fn) {
+  const from = (await ethers.provider.getBlockNumber()) + 1;
+  await fn();
+  return watcher.check(from, await ethers.provider.getBlockNumber());
+}
+
+describe('AidAccessEscrowV2 — watcher', function () {
+  it('raises a critical alert for a guardian change', async function () {
+    const f = await loadFixture(deployFixture);
+    const alerts = await alertsOf(watcherFor(f), () => f.escrow.updateGuardianMultisig(f.newGuardian.address));
+    expect(alerts).to.have.length(1);
+    expect(alerts[0]).to.include({ rule: 'guardian', severity: 'critical' });
+    expect(alerts[0].details).to.deep.equal({ oldGuardian: f.guardian.address, newGuardian: f.newGuardian.address });
+    expect(alerts[0].id).to.equal(`guardian:${alerts[0].txHash}:${alerts[0].logIndex}`);
+  });
+
+  describe('source-hash', function () {
+    it('is info when the new sourceHash is the guardian-signed manifest', async function () {
+      const f = await loadFixture(deployFixture);
+      const m = await signedManifest(RELEASE, f.guardian);
+      const alerts = await alertsOf(watcherFor(f, { manifest: async () => m }), () => f.escrow.setSourceHash(RELEASE));
+      expect(alerts[0]).to.include({ rule: 'source-hash', severity: 'info' });
+      expect(alerts[0].details.signatures).to.equal('1 of 1');
+    });
+
+    it('is critical when it differs from the manifest or the manifest is not signed by the guardian', async function () {
+      const f = await loadFixture(deployFixture);
+      const other = await signedManifest(ethers.id('release-2'), f.guardian);
+      let alerts = await alertsOf(watcherFor(f, { manifest: async () => other }), () => f.escrow.setSourceHash(RELEASE));
+      expect(alerts[0].severity).to.equal('critical');
+      expect(alerts[0].title).to.match(/does not match/);
+
+      const forged = await signedManifest(RELEASE, f.stranger);
+      alerts = await alertsOf(watcherFor(f, { manifest: async () => forged }), () => f.escrow.setSourceHash(RELEASE));
+      expect(alerts[0].severity).to.equal('critical');
+      expect(alerts[0].title).to.match(/without enough guardian signatures \(0 of 1\)/);
+    });
+
+    it('still alerts without a manifest, or when it cannot be read', async function () {
+      const f = await loadFixture(deployFixture);
+      let alerts = await alertsOf(watcherFor(f), () => f.escrow.setSourceHash(RELEASE));
+      expect(alerts[0].severity).to.equal('warning');
+
+      const broken = async () => {
+        throw new Error('HTTP 404');
+      };
+      alerts = await alertsOf(watcherFor(f, { manifest: broken }), () => f.escrow.setSourceHash(RELEASE));
+      expect(alerts[0]).to.include({ severity: 'critical', title: 'sourceHash not verified: HTTP 404' });
+
+      const m = await signedManifest(RELEASE, f.guardian);
+      const edited = { ...m, files: [{ path: 'release.zip', sha256: '00'.repeat(32) }] };
+      alerts = await alertsOf(watcherFor(f, { manifest: async () => edited }), () => f.escrow.setSourceHash(RELEASE));
+      expect(alerts[0].severity).to.equal('critical');
+      expect(alerts[0].title).to.match(/^sourceHash not verified: Manifest file list does not hash/);
+    });
+
+    it('reports the current sourceHash only when it is not the signed release', async function () {
+      const f = await loadFixture(deployFixture);
+      const m = await signedManifest(RELEASE, f.guardian);
+      const watcher = watcherFor(f, { manifest: async () => m });
+      const state = await watcher.checkCurrentSource();
+      expect(state).to.include({ rule: 'source-hash', severity: 'critical', txHash: null });
+
+      await f.escrow.setSourceHash(RELEASE);
+      expect(await watcher.checkCurrentSource()).to.equal(null);
+    });
+  });
+
+  it('alerts on DisableRequested and Disabled but not on a cancelled request', async function () {
+    const f = await loadFixture(deployFixture);
+    const alerts = await alertsOf(watcherFor(f), async () => {
+      await f.escrow.requestDisable();
+      await f.escrow.cancelDisable();
+      await f.escrow.requestDisable();
+      await time.increase(TIMELOCK);
+      await f.escrow.finalizeDisable();
+    });
+    expect(alerts.map((a) => a.title)).to.deep.equal(['Disable requested', 'Disable requested', 'Escrow disabled']);
+  });
+
+  it('alerts on a recovery request and on outflows at or above the threshold', async function () {
+    const f = await loadFixture(deployFixture);
+    const watcher = watcherFor(f, { outflowThreshold: 1_000_000_000n });
+    const alerts = await alertsOf(watcher, async () => {
+      await f.escrow.requestRecovery(f.guardian.address, 1_000_000_000n);
+      await time.increase(TIMELOCK);
+      await f.escrow.executeRecovery();
+      await f.escrow.requestRecovery(f.guardian.address, 999_999_999n);
+      await time.increase(TIMELOCK);
+      await f.escrow.executeRecovery();
+    });
+    expect(alerts.map((a) => `${a.rule}/${a.severity}`)).to.deep.equal([
+      'recovery/critical',
+      'large-outflow/warning',
+      'recovery/critical',
+    ]);
+    expect(alerts[1].title).to.equal('Outflow of 1000.0 mUSDC from the escrow');
+    expect(alerts[1].details).to.include({ via: 'recovery', amount: '1000000000', to: f.guardian.address });
+  });
+
+  it('evaluates only the selected rules', async function () {
+    const f = await loadFixture(deployFixture);
+    const watcher = watcherFor(f, { rules: ['disable'] });
+    const alerts = await alertsOf(watcher, async () => {
+      await f.escrow.setSourceHash(RELEASE);
+      await f.escrow.updateGuardianMultisig(f.guardian.address);
+      await f.escrow.requestDisable();
+    });
+    expect(alerts.map((a) => a.rule)).to.deep.equal(['disable']);
+  });
+
+  it('keeps a checkpoint and appends alerts as JSON lines', async function () {
+    const f = await loadFixture(deployFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aas-watch-'));
+    const cpFile = path.join(dir, 'checkpoint.json');
+    const out = path.join(dir, 'alerts.jsonl');
+
+    expect(w.loadCheckpoint(cpFile)).to.equal(null);
+    const alerts = await alertsOf(watcherFor(f), () => f.escrow.requestDisable());
+    await w.deliver(alerts, { out });
+    w.saveCheckpoint(cpFile, { contract: await f.escrow.getAddress(), chainId: '31337', lastBlock: alerts[0].blockNumber });
+
+    expect(w.loadCheckpoint(cpFile).lastBlock).to.equal(alerts[0].blockNumber);
+    const lines = fs.readFileSync(out, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    expect(lines.map((l) => l.id)).to.deep.equal(alerts.map((a) => a.id));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * ============================================================
+ * test/AidAccessEscrowV2.window.test.js
+ * Aid Access Escrow V2 — Time-windowed periods and the shared period helper
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const period = require('../scripts/lib/period');
+const { deployEscrow } = require('./fixtures');
+
+const DAY = 86400;
+const HOURS = 1;
+
+async function deployFixture() {
+  const [guardian, attestor, stranger] = await ethers.getSigners();
+  const { escrow } = await deployEscrow({ attestors: [attestor.address] });
+  return { escrow, guardian, attestor, stranger };
+}
+
+async function dailyFixture() {
+  const f = await deployFixture();
+  await f.escrow.setPeriodWindow(DAY);
+  return f;
+}
+
+// Mine the next transaction `offset` seconds into the next UTC day
+async function intoNextDay(offset) {
+  const now = await time.latest();
+  const start = (Math.floor(now / DAY) + 1) * DAY;
+  await time.setNextBlockTimestamp(start + offset);
+  return start;
+}
+
+describe('AidAccessEscrowV2 — period windows', function () {
+  describe('setPeriodWindow', function () {
+    it('starts in keyed mode and has no current period', async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      expect(await escrow.periodWindow()).to.equal(0n);
+      await expect(escrow.currentPeriodId()).to.be.revertedWith('AAS: no period window');
+    });
+
+    it('is guardian-only and emits PeriodWindowSet', async function () {
+      const { escrow, stranger } = await loadFixture(deployFixture);
+      await expect(escrow.connect(stranger).setPeriodWindow(DAY)).to.be.revertedWith('AAS: not guardian');
+      await expect(escrow.setPeriodWindow(DAY)).to.emit(escrow, 'PeriodWindowSet').withArgs(0n, BigInt(DAY));
+      await expect(escrow.setPeriodWindow(0)).to.emit(escrow, 'PeriodWindowSet').withArgs(BigInt(DAY), 0n);
+    });
+  });
+
+  describe('attestations', function () {
+    it('keyed mode accepts any label key', async function () {
+      const { escrow, attestor } = await loadFixture(deployFixture);
+      await expect(escrow.connect(attestor).attest(ethers.id('2025-W41'), HOURS, 1, ethers.ZeroHash)).to.emit(escrow, 'Attest');
+    });
+
+    it('window mode accepts the open window only', async function () {
+      const { escrow, attestor } = await loadFixture(dailyFixture);
+      const start = await intoNextDay(10);
+      const open = period.windowPeriodId(start + 10, DAY);
+      const yesterday = period.windowPeriodId(start - 1, DAY);
+
+      await expect(escrow.connect(attestor).attest(open, HOURS, 1, ethers.ZeroHash)).to.emit(escrow, 'Attest');
+      await expect(escrow.connect(attestor).attest(yesterday, HOURS, 1, ethers.ZeroHash)).to.be.revertedWith('AAS: window closed');
+      await expect(escrow.connect(attestor).attest(ethers.id('2026-10-19'), HOURS, 1, ethers.ZeroHash)).to.be.revertedWith('AAS: window closed');
+    });
+
+    it('closes a window at its last second', async function () {
+      const { escrow, attestor } = await loadFixture(dailyFixture);
+      const start = await intoNextDay(DAY - 1);
+      const id = period.windowPeriodId(start, DAY);
+      await escrow.connect(attestor).attest(id, HOURS, 1, ethers.ZeroHash);
+      await expect(escrow.connect(attestor).attest(id, HOURS, 1, ethers.ZeroHash)).to.be.revertedWith('AAS: window closed');
+    });
+  });
+
+  describe('shared helper (scripts/lib/period.js)', function () {
+    it('matches currentPeriodId and periodIdAt', async function () {
+      const { escrow } = await loadFixture(dailyFixture);
+      const now = await time.latest();
+      expect(await escrow.currentPeriodId()).to.equal(period.windowPeriodId(now, DAY));
+      for (const ts of [0, DAY - 1, DAY, 1_760_832_000, 1_760_918_399]) {
+        expect(await escrow.periodIdAt(ts)).to.equal(period.windowPeriodId(ts, DAY));
+      }
+    });
+
+    it('gives different keys for the same instant under different windows', async function () {
+      const { escrow } = await loadFixture(dailyFixture);
+      const ts = 1_760_832_000;
+      const daily = await escrow.periodIdAt(ts);
+      await escrow.setPeriodWindow(7 * DAY);
+      const weekly = await escrow.periodIdAt(ts);
+      expect(weekly).to.not.equal(daily);
+      expect(weekly).to.equal(period.windowPeriodId(ts, 7 * DAY));
+    });
+
+    it('resolves dates, timestamps, labels and raw keys', function () {
+      const raw = ethers.id('x');
+      expect(period.resolvePeriod('2026-10-19', 0)).to.include({ id: ethers.id('2026-10-19'), mode: 'label' });
+      expect(period.resolvePeriod(raw.toUpperCase().replace('0X', '0x'), DAY)).to.include({ id: raw, mode: 'raw' });
+
+      const day = period.resolvePeriod('2026-10-19', DAY);
+      expect(day).to.include({ mode: 'window', label: '2026-10-19', start: 1_792_368_000, end: 1_792_454_400 });
+      expect(period.resolvePeriod('2026-10-19T23:59:59Z', DAY).id).to.equal(day.id);
+      expect(period.resolvePeriod('1792454399', DAY).id).to.equal(day.id);
+      expect(period.resolvePeriod('2026-10-20', DAY).id).to.not.equal(day.id);
+      expect(() => period.resolvePeriod('2025-W41', DAY)).to.throw(/date or timestamp/);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * ============================================================
+ * test/fixtures.js
+ * Aid Access Escrow V2 — Shared deployment for the test suites
+ * ------------------------------------------------------------
+ * deployEscrow() deploys MockStable (6 decimals), MockAttestorRegistry
+ * and AidAccessEscrowV2 with the first signer as guardian. Suites wrap it
+ * in their own named fixture (loadFixture needs one function per
+ * snapshot) and pass only the parameters they change.
+ * ============================================================
+ */
+
+const { ethers } = require('hardhat');
+
+const TIMELOCK = 3600;
+
+/**
+ * @param {object}   [opts]
+ * @param {number}   [opts.hoursTarget=1]
+ * @param {number}   [opts.kgTarget=1]
+ * @param {bigint}   [opts.tranche=1_000_000n]  base units
+ * @param {number}   [opts.timelock=TIMELOCK]   seconds
+ * @param {string[]} [opts.attestors]           addresses allowed in the registry
+ * @param {string[]} [opts.operators]           addresses allowed to disburse
+ * @param {bigint}   [opts.balance]             stable minted to the escrow
+ */
+async function deployEscrow({
+  hoursTarget = 1,
+  kgTarget = 1,
+  tranche = 1_000_000n,
+  timelock = TIMELOCK,
+  attestors = [],
+  operators = [],
+  balance = 0n,
+} = {}) {
+  const [guardian] = await ethers.getSigners();
+  const stable = await ethers.deployContract('MockStable', ['Mock USD Coin', 'mUSDC', 6]);
+  const registry = await ethers.deployContract('MockAttestorRegistry');
+  for (const a of attestors) await registry.setAttestor(a, true);
+
+  const escrow = await ethers.deployContract('AidAccessEscrowV2', [
+    await stable.getAddress(),
+    await registry.getAddress(),
+    guardian.address,
+    ethers.id('source'),
+    hoursTarget,
+    kgTarget,
+    tranche,
+    timelock,
+  ]);
+  if (balance > 0n) await stable.mint(await escrow.getAddress(), balance);
+  for (const op of operators) await escrow.setOperator(op, true);
+  return { escrow, stable, registry };
+}
+
+module.exports = { TIMELOCK, deployEscrow };
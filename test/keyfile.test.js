@@ -0,0 +1,62 @@
+/**
+ * ============================================================
+ * test/keyfile.test.js
+ * Aid Access Escrow V2 — Encrypted key-file header checks
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const { expect } = require('chai');
+const keyfile = require('../scripts/lib/keyfile');
+
+const KEY = Buffer.from('0x' + '11'.repeat(32));
+const PASS = 'correct horse';
+const FAST = { logN: 10, r: 8, p: 1 };
+const CORRUPT = 'Wrong passphrase or corrupted file';
+
+// Copy of `buf` with header byte `offset` set to `value`
+function tamper(buf, offset, value) {
+  const copy = Buffer.from(buf);
+  copy[offset] = value;
+  return copy;
+}
+
+describe('keyfile — v2 header', function () {
+  const file = keyfile.encrypt(KEY, PASS, FAST);
+
+  it('round-trips with the passphrase', function () {
+    expect(keyfile.decrypt(file, PASS).plaintext.equals(KEY)).to.equal(true);
+    expect(() => keyfile.decrypt(file, 'wrong')).to.throw(CORRUPT);
+  });
+
+  it('rejects out-of-range scrypt parameters as corruption, before deriving a key', function () {
+    const cases = [
+      [6, 0], // logN
+      [6, 40],
+      [6, 21],
+      [7, 0], // r
+      [7, 17],
+      [8, 0], // p
+      [8, 5],
+    ];
+    for (const [offset, value] of cases) {
+      expect(() => keyfile.readHeader(tamper(file, offset, value)), `byte ${offset} = ${value}`).to.throw(CORRUPT);
+      expect(() => keyfile.decrypt(tamper(file, offset, value), PASS), `byte ${offset} = ${value}`).to.throw(CORRUPT);
+    }
+  });
+
+  it('rejects in-range parameters scrypt itself refuses (N ≥ 2^(16·r))', function () {
+    const bad = tamper(tamper(file, 6, 17), 7, 1);
+    expect(() => keyfile.decrypt(bad, PASS)).to.throw(CORRUPT);
+  });
+
+  it('fails authentication for any other header change', function () {
+    expect(() => keyfile.decrypt(tamper(file, 6, FAST.logN + 1), PASS)).to.throw(CORRUPT);
+    expect(() => keyfile.decrypt(tamper(file, 12, file[12] ^ 0xff), PASS)).to.throw(CORRUPT);
+  });
+
+  it('refuses to write out-of-range parameters', function () {
+    expect(() => keyfile.encrypt(KEY, PASS, { logN: 24, r: 8, p: 1 })).to.throw(/out of range/);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * ============================================================
+ * test/manifest.test.js
+ * Aid Access Escrow V2 — Signed manifests and their file listing
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const mf = require('../scripts/lib/manifest');
+const treeHash = require('../scripts/lib/tree-hash');
+
+const FILES = [
+  { path: 'sub/b.txt', sha256: treeHash.sha256Hex('b\n'), bytes: 2 },
+  { path: 'a.txt', sha256: treeHash.sha256Hex('a\n'), bytes: 2 },
+  { path: 'Z é.txt', sha256: treeHash.sha256Hex('c\n'), bytes: 2 },
+];
+
+async function signedTree() {
+  const [guardian] = await ethers.getSigners();
+  const m = mf.upgrade({
+    schema: mf.SCHEMA_V1,
+    sha256Bytes32: '0x' + treeHash.treeHashOf(FILES),
+    scheme: treeHash.SCHEME,
+    dir: 'release',
+    files: FILES,
+  });
+  return { guardian, manifest: mf.addSignature(m, await guardian.signMessage(mf.signingMessage(m)), guardian.address) };
+}
+
+describe('manifest — directory file listing', function () {
+  it('hashes the listing like tree-hash.js', async function () {
+    const { guardian, manifest } = await signedTree();
+    expect(mf.filesMatch(manifest)).to.equal(true);
+    expect(mf.checkSigners(manifest, [guardian.address], 1).ok).to.equal(true);
+  });
+
+  it('rejects a signed manifest whose listing was edited', async function () {
+    const { guardian, manifest } = await signedTree();
+    const edited = { ...manifest, files: [...manifest.files, { path: 'backdoor.js', sha256: 'ab'.repeat(32), bytes: 1 }] };
+    expect(mf.filesMatch(edited)).to.equal(false);
+    expect(() => mf.checkSigners(edited, [guardian.address], 1)).to.throw(/file list does not hash/);
+    expect(() => mf.signingMessage(edited)).to.throw(/file list does not hash/);
+  });
+});
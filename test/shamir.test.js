@@ -0,0 +1,66 @@
+/**
+ * ============================================================
+ * test/shamir.test.js
+ * Aid Access Escrow V2 — Shamir split / combine of guardian keys
+ * ------------------------------------------------------------
+ * Run: npx hardhat test
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { expect } = require('chai');
+const shamir = require('../scripts/lib/shamir');
+
+// Every `k`-element subset of `items`, in order
+function subsets(items, k) {
+  if (k === 0) return [[]];
+  if (items.length < k) return [];
+  const [head, ...rest] = items;
+  return [...subsets(rest, k - 1).map((s) => [head, ...s]), ...subsets(rest, k)];
+}
+
+// Copy of `share` with the first data byte flipped
+function flipData(share) {
+  const data = Buffer.from(share.data, 'hex');
+  data[0] ^= 0xff;
+  return { ...share, data: data.toString('hex') };
+}
+
+describe('shamir — guardian key shares', function () {
+  const secret = crypto.randomBytes(32);
+  const shares = shamir.split(secret, { threshold: 3, shares: 5 });
+
+  it('rebuilds the secret from every threshold-sized subset, and from more', function () {
+    const all = subsets(shares, 3);
+    expect(all).to.have.length(10);
+    for (const subset of all) {
+      expect(shamir.combine(subset.map((s) => shamir.parseShare(s))).equals(secret)).to.equal(true);
+    }
+    expect(shamir.combine(subsets(shares, 4)[0]).equals(secret)).to.equal(true);
+    expect(shamir.combine([...shares].reverse()).equals(secret)).to.equal(true);
+  });
+
+  it('refuses fewer shares than the threshold', function () {
+    for (const subset of subsets(shares, 2)) expect(() => shamir.combine(subset)).to.throw('Need 3 shares, got 2');
+  });
+
+  it('refuses the same share twice', function () {
+    expect(() => shamir.combine([shares[0], shares[1], shares[0]])).to.throw('Share 1 given more than once');
+  });
+
+  it('detects a flipped share byte or checksum', function () {
+    expect(() => shamir.parseShare(flipData(shares[1]), 'share-2')).to.throw('share-2: checksum mismatch');
+    expect(() => shamir.parseShare({ ...shares[1], checksum: '00'.repeat(32) })).to.throw(/checksum mismatch/);
+
+    // Past parseShare (or with a recomputed checksum) the rebuild check still fails
+    expect(() => shamir.combine([shares[0], flipData(shares[1]), shares[2]])).to.throw(/tampered or mismatched shares/);
+  });
+
+  it('refuses shares from two different splits, even of the same secret', function () {
+    const other = shamir.split(secret, { threshold: 3, shares: 5 });
+    expect(() => shamir.combine([shares[0], other[1], other[2]])).to.throw(/Share 2 belongs to a different split/);
+    expect(() => shamir.combine([shares[0], shares[1], { ...other[2], setId: shares[0].setId, secretCheck: shares[0].secretCheck }])).to.throw(
+      /tampered or mismatched shares/
+    );
+  });
+});